@@ -0,0 +1,348 @@
+// calendar.js — calendrier scolaire (vacances et jours fériés) stocké en
+// base dans school_calendar. Source unique pour la génération des séances,
+// les statistiques et le rappel de pointage.
+//
+// Une période a une zone (A, B, C…) ou aucune (toutes zones, ex. jours
+// fériés). Seules comptent les périodes sans zone et celles de la zone
+// active (app_settings.calendar_zone).
+//
+// Les jours fériés nationaux sont calculés (frenchPublicHolidays) et
+// ajoutés d'office (source 'auto') sur les dates où rien n'est saisi. Un
+// admin peut ajouter des jours locaux (kind 'holiday') ou neutraliser un
+// férié avec un jour travaillé (kind 'workday').
+
+const pool = require('./db')
+
+const CALENDAR_ZONE_DEFAULT = 'B'
+const CALENDAR_KINDS = new Set(['vacation', 'holiday', 'workday'])
+const ZONE_SQL = `COALESCE((SELECT value #>> '{}' FROM app_settings WHERE key = 'calendar_zone'), '${CALENDAR_ZONE_DEFAULT}')`
+
+// Périodes applicables à la date `dateExpr` (alias sc) : zone active,
+// hors jours travaillés et fériés neutralisés par un jour travaillé
+function calendarMatchSql(dateExpr) {
+  return `${dateExpr} BETWEEN sc.start_date AND sc.end_date
+             AND (sc.zone IS NULL OR sc.zone = ${ZONE_SQL})
+             AND sc.kind <> 'workday'
+             AND NOT (sc.kind = 'holiday' AND EXISTS (
+               SELECT 1 FROM school_calendar w
+               WHERE w.kind = 'workday' AND ${dateExpr} BETWEEN w.start_date AND w.end_date
+                 AND (w.zone IS NULL OR w.zone = ${ZONE_SQL})
+             ))`
+}
+
+// Statut imposé par le calendrier à la date `dateExpr` ('holiday' prime
+// sur 'vacation'), NULL si jour ordinaire
+function calendarKindSql(dateExpr) {
+  return `(SELECT sc.kind FROM school_calendar sc
+           WHERE ${calendarMatchSql(dateExpr)}
+           ORDER BY sc.kind = 'holiday' DESC
+           LIMIT 1)`
+}
+
+// Condition SQL : la date tombe pendant des vacances ou un jour férié
+function calendarDaySql(dateExpr) {
+  return `EXISTS (
+           SELECT 1 FROM school_calendar sc
+           WHERE ${calendarMatchSql(dateExpr)}
+         )`
+}
+
+// ─── Jours fériés français ───────────────────────────────────────
+
+// Dimanche de Pâques (calendrier grégorien, algorithme de Meeus/Jones/Butcher)
+function easterSunday(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return new Date(Date.UTC(year, month - 1, day, 12))
+}
+
+function ymd(d) {
+  return d.toISOString().slice(0, 10)
+}
+
+// Les 11 jours fériés nationaux d'une année civile : [{ date, label }]
+function frenchPublicHolidays(year) {
+  const easter = easterSunday(year)
+  const fromEaster = (days) => ymd(new Date(easter.getTime() + days * 86400000))
+  return [
+    { date: `${year}-01-01`, label: "Jour de l'An" },
+    { date: fromEaster(1),   label: 'Lundi de Pâques' },
+    { date: `${year}-05-01`, label: 'Fête du Travail' },
+    { date: `${year}-05-08`, label: 'Victoire 1945' },
+    { date: fromEaster(39),  label: 'Ascension' },
+    { date: fromEaster(50),  label: 'Lundi de Pentecôte' },
+    { date: `${year}-07-14`, label: 'Fête nationale' },
+    { date: `${year}-08-15`, label: 'Assomption' },
+    { date: `${year}-11-01`, label: 'Toussaint' },
+    { date: `${year}-11-11`, label: 'Armistice' },
+    { date: `${year}-12-25`, label: 'Noël' },
+  ].sort((x, y) => x.date.localeCompare(y.date))
+}
+
+// Jours fériés compris entre deux dates YYYY-MM-DD (ex. une année scolaire)
+function publicHolidaysBetween(from, to) {
+  const out = []
+  for (let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) {
+    out.push(...frenchPublicHolidays(y).filter((h) => h.date >= from && h.date <= to))
+  }
+  return out
+}
+
+// Ajoute au calendrier (source 'auto', toutes zones) les fériés calculés
+// de la plage qui n'y figurent pas encore : une saisie explicite du même
+// jour, férié ou jour travaillé, l'emporte si elle vaut pour toutes les
+// zones (une saisie d'une seule zone ne doit pas effacer le férié des
+// autres ; le jour travaillé de la zone le neutralise, cf. calendarMatchSql).
+async function ensurePublicHolidays(from, to) {
+  const holidays = publicHolidaysBetween(from, to)
+  if (!holidays.length) return 0
+  const { rowCount } = await pool.query(
+    `INSERT INTO school_calendar (kind, label, start_date, end_date, zone, source)
+     SELECT 'holiday', t.label, t.d, t.d, NULL, 'auto'
+     FROM unnest($1::date[], $2::text[]) AS t(d, label)
+     WHERE NOT EXISTS (
+       SELECT 1 FROM school_calendar sc
+       WHERE sc.kind IN ('holiday', 'workday')
+         AND sc.zone IS NULL
+         AND t.d BETWEEN sc.start_date AND sc.end_date
+     )`,
+    [holidays.map((h) => h.date), holidays.map((h) => h.label)],
+  )
+  return rowCount
+}
+
+// 'holiday', 'vacation' ou null pour une date YYYY-MM-DD
+async function dayStatus(date) {
+  const { rows } = await pool.query(`SELECT ${calendarKindSql('$1::date')} AS kind`, [date])
+  return rows[0].kind
+}
+
+// Crée les séances manquantes d'une classe, déjà marquées vacances ou
+// férié d'après le calendrier. `sessions` : dates (YYYY-MM-DD) ou
+// { date, start_time, end_time, room } (créneaux, cf. classSlots.js) ; une
+// séance existante sans horaire reçoit celui du créneau. Sans schoolYearId,
+// l'année est déduite de la date.
+async function insertSessions(classId, sessions, schoolYearId = null) {
+  if (!sessions.length) return
+  const list = sessions.map((s) => (typeof s === 'string' ? { date: s } : s))
+  const dates = list.map((s) => s.date)
+  const sorted = [...dates].sort()
+  await ensurePublicHolidays(sorted[0], sorted[sorted.length - 1])
+  await pool.query(
+    `INSERT INTO sessions (class_id, date, status, school_year_id, start_time, end_time, room)
+     SELECT $1, t.d,
+            COALESCE(${calendarKindSql('t.d')}, 'scheduled'),
+            COALESCE($3::int, (
+              SELECT sy.id FROM school_years sy
+              WHERE t.d BETWEEN sy.start_date AND sy.end_date
+              ORDER BY sy.start_date DESC LIMIT 1
+            )),
+            t.start_time, t.end_time, t.room
+     FROM unnest($2::date[], $4::time[], $5::time[], $6::text[]) AS t(d, start_time, end_time, room)
+     ON CONFLICT (class_id, date) DO UPDATE
+       SET start_time = EXCLUDED.start_time, end_time = EXCLUDED.end_time, room = EXCLUDED.room
+       WHERE sessions.start_time IS NULL AND EXCLUDED.start_time IS NOT NULL`,
+    [
+      classId,
+      dates,
+      schoolYearId,
+      list.map((s) => s.start_time ?? null),
+      list.map((s) => s.end_time ?? null),
+      list.map((s) => s.room ?? null),
+    ],
+  )
+}
+
+// Séances entre from et to dont le statut ne correspond plus au
+// calendrier. Ne sont concernées que les séances ordinaires, vacances ou
+// fériées non verrouillées (une séance annulée ou extra reste telle
+// quelle). Une séance déjà pointée n'est jamais basculée en non tenable :
+// elle est signalée dans `conflicts`.
+const REFLAG_TARGETS = `
+  WITH target AS (
+    SELECT s.id, s.class_id, to_char(s.date, 'YYYY-MM-DD') AS date,
+           COALESCE(s.status, 'scheduled') AS old_status,
+           COALESCE(${calendarKindSql('s.date')}, 'scheduled') AS new_status,
+           EXISTS (SELECT 1 FROM attendances a WHERE a.session_id = s.id) AS has_attendance
+    FROM sessions s
+    WHERE s.date BETWEEN $1 AND $2
+      AND COALESCE(s.status, 'scheduled') IN ('scheduled', 'vacation', 'holiday')
+      AND s.locked_at IS NULL
+  )`
+
+// Aperçu (apply = false) ou application du re-marquage. Renvoie
+// { changes: [{ id, class_id, date, old_status, new_status }], conflicts: [...] }
+async function reflagSessions(from, to, { apply = false } = {}) {
+  const { rows } = await pool.query(
+    `${REFLAG_TARGETS}
+     SELECT * FROM target WHERE new_status <> old_status ORDER BY date, class_id`,
+    [from, to],
+  )
+  const conflicts = rows.filter((r) => r.new_status !== 'scheduled' && r.has_attendance)
+  const changes = rows.filter((r) => !(r.new_status !== 'scheduled' && r.has_attendance))
+  if (apply && changes.length) {
+    await pool.query(
+      `${REFLAG_TARGETS}
+       UPDATE sessions s SET status = t.new_status
+       FROM target t
+       WHERE s.id = t.id AND t.new_status <> t.old_status
+         AND NOT (t.new_status <> 'scheduled' AND t.has_attendance)`,
+      [from, to],
+    )
+  }
+  const strip = ({ has_attendance, ...r }) => r
+  return { applied: apply, changes: changes.map(strip), conflicts: conflicts.map(strip) }
+}
+
+// Pour chaque période { start_date, end_date, zone } pas encore au
+// calendrier : nombre de séances ordinaires non verrouillées qu'elle ferait
+// basculer (`sessions`), dont déjà pointées (`conflicts`, laissées telles
+// quelles par reflagSessions). Une période d'une autre zone ne compte pas.
+async function countSessionsToFlag(periods) {
+  if (!periods.length) return []
+  const { rows } = await pool.query(
+    `SELECT p.i,
+            COUNT(s.id)::int AS sessions,
+            COUNT(s.id) FILTER (WHERE EXISTS (
+              SELECT 1 FROM attendances a WHERE a.session_id = s.id
+            ))::int AS conflicts
+     FROM unnest($1::date[], $2::date[], $3::text[]) WITH ORDINALITY AS p(start_date, end_date, zone, i)
+     LEFT JOIN sessions s
+       ON s.date BETWEEN p.start_date AND p.end_date
+      AND (p.zone IS NULL OR p.zone = ${ZONE_SQL})
+      AND COALESCE(s.status, 'scheduled') = 'scheduled'
+      AND s.locked_at IS NULL
+     GROUP BY p.i
+     ORDER BY p.i`,
+    [periods.map((p) => p.start_date), periods.map((p) => p.end_date), periods.map((p) => p.zone)],
+  )
+  return rows.map(({ sessions, conflicts }) => ({ sessions, conflicts }))
+}
+
+// Valide une période { kind, label, start_date, end_date, zone }.
+// `current` (modification) fournit les valeurs non transmises.
+function normalizeCalendarEntry(body, current = {}) {
+  const e = { ...current, ...body }
+  if (!CALENDAR_KINDS.has(e.kind)) return { error: 'kind invalide (vacation, holiday ou workday)' }
+  const label = String(e.label || '').trim()
+  if (!label) return { error: 'label requis' }
+  const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) && !Number.isNaN(Date.parse(v))
+  const end = e.end_date || e.start_date
+  if (!isYmd(e.start_date) || !isYmd(end)) return { error: 'Dates invalides (YYYY-MM-DD)' }
+  if (e.start_date > end) return { error: 'start_date doit précéder end_date' }
+  const zone = e.zone == null || e.zone === '' ? null : String(e.zone).trim().toUpperCase()
+  if (zone !== null && !/^[A-Z]{1,10}$/.test(zone)) return { error: 'zone invalide' }
+  return { kind: e.kind, label: label.slice(0, 100), start_date: e.start_date, end_date: end, zone }
+}
+
+// ─── Reprise initiale ────────────────────────────────────────────
+// Vacances autrefois codées en dur dans routes/schoolYears.js (zone B ;
+// les fériés sont désormais calculés). La table periodes_exclues est
+// reprise elle aussi, puis n'est plus lue.
+const SEED = [
+  { kind: 'vacation', label: 'Toussaint',          start: '2025-10-18', end: '2025-11-02', zone: 'B' },
+  { kind: 'vacation', label: 'Noël',               start: '2025-12-20', end: '2026-01-04', zone: 'B' },
+  { kind: 'vacation', label: 'Hiver',              start: '2026-02-14', end: '2026-03-01', zone: 'B' },
+  { kind: 'vacation', label: 'Printemps',          start: '2026-04-11', end: '2026-04-26', zone: 'B' },
+  { kind: 'vacation', label: 'Toussaint',          start: '2026-10-17', end: '2026-11-01', zone: 'B' },
+  { kind: 'vacation', label: 'Noël',               start: '2026-12-19', end: '2027-01-03', zone: 'B' },
+  { kind: 'vacation', label: 'Hiver',              start: '2027-02-13', end: '2027-02-28', zone: 'B' },
+  { kind: 'vacation', label: 'Printemps',          start: '2027-04-17', end: '2027-05-02', zone: 'B' },
+]
+
+async function initSchoolCalendar() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS school_calendar (
+      id         SERIAL PRIMARY KEY,
+      kind       VARCHAR(10) NOT NULL,
+      label      VARCHAR(100) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date   DATE NOT NULL,
+      zone       VARCHAR(10),
+      source     VARCHAR(10) NOT NULL DEFAULT 'manual',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (start_date <= end_date)
+    )
+  `)
+  // Contrainte sur kind, (re)posée seulement si elle manque ou ne connaît
+  // pas encore 'workday' : l'ALTER verrouille et relit toute la table
+  const { rows: check } = await pool.query(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE conname = 'school_calendar_kind_check' AND conrelid = 'school_calendar'::regclass`,
+  )
+  if (!check.length || !check[0].def.includes("'workday'")) {
+    await pool.query(`
+      ALTER TABLE school_calendar
+        DROP CONSTRAINT IF EXISTS school_calendar_kind_check,
+        ADD CONSTRAINT school_calendar_kind_check CHECK (kind IN ('vacation', 'holiday', 'workday'))
+    `)
+  }
+  await pool.query('CREATE INDEX IF NOT EXISTS school_calendar_dates_idx ON school_calendar (start_date, end_date)')
+
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS n FROM school_calendar')
+  if (rows[0].n === 0) await seedSchoolCalendar()
+
+  // Fériés calculés pour chaque année scolaire déjà déclarée
+  const { rows: years } = await pool.query(
+    `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date,   'YYYY-MM-DD') AS end_date
+     FROM school_years`,
+  )
+  for (const y of years) await ensurePublicHolidays(y.start_date, y.end_date)
+}
+
+async function seedSchoolCalendar() {
+  await pool.query(
+    `INSERT INTO school_calendar (kind, label, start_date, end_date, zone, source)
+     SELECT kind, label, start_date, end_date, zone, 'seed'
+     FROM unnest($1::text[], $2::text[], $3::date[], $4::date[], $5::text[])
+       AS t(kind, label, start_date, end_date, zone)`,
+    [
+      SEED.map((e) => e.kind),
+      SEED.map((e) => e.label),
+      SEED.map((e) => e.start),
+      SEED.map((e) => e.end),
+      SEED.map((e) => e.zone),
+    ],
+  )
+  // Anciennes périodes exclues : un seul jour = férié, sinon vacances zone B
+  await pool.query(`
+    DO $$ BEGIN
+      IF to_regclass('periodes_exclues') IS NOT NULL THEN
+        INSERT INTO school_calendar (kind, label, start_date, end_date, zone, source)
+        SELECT CASE WHEN date_debut = date_fin THEN 'holiday' ELSE 'vacation' END,
+               label, date_debut, date_fin,
+               CASE WHEN date_debut = date_fin THEN NULL ELSE 'B' END,
+               'seed'
+        FROM periodes_exclues;
+      END IF;
+    END $$
+  `)
+  console.log('[init] school_calendar seeded')
+}
+
+module.exports = {
+  CALENDAR_ZONE_DEFAULT,
+  calendarDaySql,
+  dayStatus,
+  frenchPublicHolidays,
+  publicHolidaysBetween,
+  ensurePublicHolidays,
+  insertSessions,
+  reflagSessions,
+  countSessionsToFlag,
+  normalizeCalendarEntry,
+  initSchoolCalendar,
+}
@@ -0,0 +1,212 @@
+// classSlots.js — créneaux des classes : jour ISO, heures de début et de
+// fin, salle facultative, et règle de récurrence (chaque semaine par
+// défaut, cf. recurrence.js). Une classe peut en avoir plusieurs (ex.
+// orchestre le mercredi et le samedi), un seul par jour : les séances
+// restent uniques par (classe, date) et reprennent les heures du créneau.
+// classes.weekday est conservé (premier jour de cours) pour les anciens
+// clients.
+
+const pool = require('./db')
+const { parseRrule, formatRrule, needsStart, parseYmd, slotDates } = require('./recurrence')
+
+const SLOT_SELECT = `
+  SELECT id, class_id, weekday, room, rrule,
+         to_char(start_time, 'HH24:MI') AS start_time,
+         to_char(end_time,   'HH24:MI') AS end_time,
+         to_char(dtstart,    'YYYY-MM-DD') AS dtstart,
+         ARRAY(SELECT to_char(d, 'YYYY-MM-DD') FROM unnest(exdates) AS d ORDER BY d) AS exdates
+  FROM class_slots`
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/
+
+function normalizeTime(v) {
+  const m = TIME_RE.exec(String(v ?? '').trim())
+  return m ? `${m[1]}:${m[2]}` : null
+}
+
+// Valide la liste complète des créneaux d'une classe :
+// [{ weekday: 1..7, start_time: 'HH:MM', end_time: 'HH:MM', room?,
+//    rrule?: 'FREQ=…', dtstart?: 'YYYY-MM-DD', exdates?: ['YYYY-MM-DD'] }]
+function normalizeSlots(list) {
+  if (!Array.isArray(list)) return { error: 'slots doit être un tableau' }
+  const slots = []
+  for (const s of list) {
+    const weekday = Number(s?.weekday)
+    if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) {
+      return { error: 'weekday invalide (1 = lundi … 7 = dimanche)' }
+    }
+    const start = normalizeTime(s.start_time)
+    const end = normalizeTime(s.end_time)
+    if (!start || !end) return { error: 'start_time et end_time requis (HH:MM)' }
+    if (start >= end) return { error: 'start_time doit précéder end_time' }
+    if (slots.some((x) => x.weekday === weekday)) return { error: 'Un seul créneau par jour et par classe' }
+    const room = s.room == null ? null : String(s.room).trim().slice(0, 100) || null
+
+    let rrule = null
+    let dtstart = null
+    if (s.dtstart != null && s.dtstart !== '') {
+      dtstart = parseYmd(s.dtstart)
+      if (!dtstart) return { error: 'dtstart invalide (YYYY-MM-DD)' }
+    }
+    if (s.rrule != null && s.rrule !== '') {
+      const parsed = parseRrule(s.rrule, weekday)
+      if (parsed.error) return { error: `rrule : ${parsed.error}` }
+      if (needsStart(parsed.rule) && !dtstart) return { error: 'dtstart requis avec INTERVAL ou COUNT' }
+      rrule = formatRrule(parsed.rule, weekday)
+    }
+    if (s.exdates != null && !Array.isArray(s.exdates)) return { error: 'exdates doit être un tableau' }
+    const exdates = (s.exdates || []).map(parseYmd)
+    if (exdates.some((d) => !d)) return { error: 'exdates invalides (YYYY-MM-DD)' }
+
+    slots.push({ weekday, start_time: start, end_time: end, room, rrule, dtstart, exdates: [...new Set(exdates)].sort() })
+  }
+  return { slots: slots.sort((a, b) => a.weekday - b.weekday) }
+}
+
+async function loadClassSlots(classId) {
+  const { rows } = await pool.query(`${SLOT_SELECT} WHERE class_id = $1 ORDER BY weekday`, [classId])
+  return rows
+}
+
+// Créneaux de toutes les classes, groupés : Map(class_id → [slot])
+async function loadAllSlots() {
+  const { rows } = await pool.query(`${SLOT_SELECT} ORDER BY class_id, weekday`)
+  const byClass = new Map()
+  for (const r of rows) {
+    if (!byClass.has(r.class_id)) byClass.set(r.class_id, [])
+    byClass.get(r.class_id).push(r)
+  }
+  return byClass
+}
+
+// Séances à créer pour des créneaux entre from et to (YYYY-MM-DD), selon
+// leur règle de récurrence, cf. insertSessions (calendar.js)
+function slotSessions(slots, from, to) {
+  return slots.flatMap((slot) => slotDates(slot, from, to).map((date) => ({
+    date,
+    start_time: slot.start_time,
+    end_time: slot.end_time,
+    room: slot.room,
+  })))
+}
+
+// Remplace les créneaux d'une classe (une seule requête) : les séances
+// à venir non verrouillées de chaque jour prennent les nouvelles heures.
+async function replaceClassSlots(classId, slots) {
+  await pool.query(
+    `WITH t AS (
+       SELECT weekday, start_time, end_time, room, rrule, dtstart,
+              string_to_array(exdates, ',')::date[] AS exdates
+       FROM unnest($2::int[], $3::time[], $4::time[], $5::text[], $6::text[], $7::date[], $8::text[])
+         AS t(weekday, start_time, end_time, room, rrule, dtstart, exdates)
+     ),
+     del AS (
+       DELETE FROM class_slots WHERE class_id = $1 AND weekday <> ALL($2::int[])
+     ),
+     up AS (
+       INSERT INTO class_slots (class_id, weekday, start_time, end_time, room, rrule, dtstart, exdates)
+       SELECT $1, weekday, start_time, end_time, room, rrule, dtstart, exdates FROM t
+       ON CONFLICT (class_id, weekday) DO UPDATE
+         SET start_time = EXCLUDED.start_time, end_time = EXCLUDED.end_time, room = EXCLUDED.room,
+             rrule = EXCLUDED.rrule, dtstart = EXCLUDED.dtstart, exdates = EXCLUDED.exdates
+     ),
+     times AS (
+       UPDATE sessions s
+          SET start_time = t.start_time, end_time = t.end_time, room = t.room
+       FROM t
+       WHERE s.class_id = $1
+         AND EXTRACT(ISODOW FROM s.date) = t.weekday
+         AND s.date >= (NOW() AT TIME ZONE 'Europe/Paris')::date
+         AND s.locked_at IS NULL
+     )
+     UPDATE classes SET weekday = (SELECT MIN(weekday) FROM t) WHERE id = $1`,
+    [
+      classId,
+      slots.map((s) => s.weekday),
+      slots.map((s) => s.start_time),
+      slots.map((s) => s.end_time),
+      slots.map((s) => s.room),
+      slots.map((s) => s.rrule ?? null),
+      slots.map((s) => s.dtstart ?? null),
+      slots.map((s) => (s.exdates || []).join(',')),
+    ],
+  )
+}
+
+// Supprime les séances à venir (entre aujourd'hui et to) qui tombent un
+// jour de créneau mais hors de sa récurrence — ex. après passage à une
+// semaine sur deux ou ajout d'une date d'exception — ou un jour dont le
+// créneau a été retiré (`removedWeekdays`). Seules les séances ordinaires,
+// non verrouillées et jamais pointées sont retirées. Renvoie le nombre de
+// séances supprimées.
+async function removeStaleSessions(classId, slots, from, to, removedWeekdays = []) {
+  if (!slots.length && !removedWeekdays.length) return 0
+  const { rowCount } = await pool.query(
+    `DELETE FROM sessions s
+     WHERE s.class_id = $1
+       AND s.date BETWEEN GREATEST($2::date, (NOW() AT TIME ZONE 'Europe/Paris')::date) AND $3::date
+       AND (
+         EXTRACT(ISODOW FROM s.date) = ANY($6::int[])
+         OR (EXTRACT(ISODOW FROM s.date) = ANY($4::int[]) AND s.date <> ALL($5::date[]))
+       )
+       AND COALESCE(s.status, 'scheduled') IN ('scheduled', 'vacation', 'holiday')
+       AND s.locked_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM attendances a WHERE a.session_id = s.id)`,
+    [
+      classId,
+      from,
+      to,
+      slots.map((s) => s.weekday),
+      slotSessions(slots, from, to).map((s) => s.date),
+      removedWeekdays,
+    ],
+  )
+  return rowCount
+}
+
+async function initClassSlots() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS class_slots (
+      id         SERIAL PRIMARY KEY,
+      class_id   INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      weekday    SMALLINT NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+      start_time TIME,
+      end_time   TIME,
+      room       VARCHAR(100),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (class_id, weekday),
+      CHECK (start_time < end_time)
+    )
+  `)
+  await pool.query(`
+    ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS start_time TIME,
+      ADD COLUMN IF NOT EXISTS end_time   TIME,
+      ADD COLUMN IF NOT EXISTS room       VARCHAR(100)
+  `)
+  await pool.query(`
+    ALTER TABLE class_slots
+      ADD COLUMN IF NOT EXISTS rrule   VARCHAR(200),
+      ADD COLUMN IF NOT EXISTS dtstart DATE,
+      ADD COLUMN IF NOT EXISTS exdates DATE[] NOT NULL DEFAULT '{}'
+  `)
+  // Reprise : le jour unique d'une classe devient son créneau (heures à
+  // compléter par le prof)
+  await pool.query(`
+    INSERT INTO class_slots (class_id, weekday)
+    SELECT c.id, c.weekday FROM classes c
+    WHERE c.weekday BETWEEN 1 AND 7
+      AND NOT EXISTS (SELECT 1 FROM class_slots cs WHERE cs.class_id = c.id)
+  `)
+}
+
+module.exports = {
+  normalizeTime,
+  normalizeSlots,
+  loadClassSlots,
+  loadAllSlots,
+  slotSessions,
+  replaceClassSlots,
+  removeStaleSessions,
+  initClassSlots,
+}
@@ -0,0 +1,129 @@
+// ics.js — lecture des fichiers iCalendar (RFC 5545) importés par les
+// admins, ex. calendrier scolaire officiel d'une zone. Tout est lu depuis
+// le fichier envoyé : aucun accès réseau.
+
+// Déplie les lignes longues (continuation = ligne commençant par un
+// espace ou une tabulation)
+function unfold(text) {
+  return String(text).replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+}
+
+function unescapeText(v) {
+  return v.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1')
+}
+
+// "DTSTART;VALUE=DATE:20251018" → { name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20251018' }
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  if (colon === -1) return null
+  const [name, ...rawParams] = line.slice(0, colon).split(';')
+  const params = {}
+  for (const p of rawParams) {
+    const [k, ...v] = p.split('=')
+    params[k.toUpperCase()] = v.join('=').replace(/^"|"$/g, '')
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) }
+}
+
+function addDays(ymd, days) {
+  const d = new Date(`${ymd}T12:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+const PARIS = 'Europe/Paris'
+
+// Date et heure murale (YYYY-MM-DD, HH:MM:SS) d'un instant dans le fuseau tz
+function wallClock(ms, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(ms)).map((p) => [p.type, p.value]))
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}:${parts.second}` }
+}
+
+// Instant correspondant à une heure murale dans le fuseau tz
+function zonedToUtc(wallMs, tz) {
+  const offset = (ms) => {
+    const w = wallClock(ms, tz)
+    return Date.parse(`${w.date}T${w.time}Z`) - ms
+  }
+  const guess = wallMs - offset(wallMs)
+  return wallMs - offset(guess)
+}
+
+// Date (YYYY-MM-DD) d'une valeur DATE ou DATE-TIME, ramenée à l'heure de
+// Paris (UTC « Z » ou TZID convertis ; sans fuseau, heure de Paris), et si
+// c'est minuit
+function parseDate(value, params = {}) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim())
+  if (!m) return null
+  if (!m[4]) return { date: `${m[1]}-${m[2]}-${m[3]}`, midnight: true }
+
+  const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6])
+  let instant = wall
+  if (!m[7]) {
+    try {
+      instant = zonedToUtc(wall, params.TZID || PARIS)
+    } catch {
+      instant = zonedToUtc(wall, PARIS) // TZID inconnu (ex. nom Windows)
+    }
+  }
+  const local = wallClock(instant, PARIS)
+  return { date: local.date, midnight: local.time === '00:00:00' }
+}
+
+// Renvoie les VEVENT sous forme { uid, summary, description, location,
+// start_date, end_date, has_end } (dates incluses), ou { error }.
+// DTEND est exclusif (RFC 5545) : un événement du 18 au 03 minuit couvre
+// jusqu'au 02 inclus. Sans DTEND, l'événement dure un jour (has_end false :
+// c'est le cas des vacances d'été dans le calendrier officiel).
+function parseIcs(text) {
+  const lines = unfold(text)
+  if (!lines.some((l) => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'Fichier iCalendar invalide (BEGIN:VCALENDAR absent)' }
+  }
+
+  const events = []
+  let current = null
+  for (const raw of lines) {
+    const line = raw.trimEnd()
+    if (!line) continue
+    const upper = line.toUpperCase()
+    if (upper === 'BEGIN:VEVENT') { current = {}; continue }
+    if (upper === 'END:VEVENT') {
+      if (current?.start) {
+        let end = current.start.date
+        if (current.end) {
+          end = current.end.midnight && current.end.date > current.start.date
+            ? addDays(current.end.date, -1)
+            : current.end.date
+        }
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || '',
+          description: current.description || '',
+          location: current.location || '',
+          start_date: current.start.date,
+          end_date: end < current.start.date ? current.start.date : end,
+          has_end: Boolean(current.end),
+        })
+      }
+      current = null
+      continue
+    }
+    if (!current) continue
+    const prop = parseLine(line)
+    if (!prop) continue
+    if (prop.name === 'DTSTART') current.start = parseDate(prop.value, prop.params)
+    else if (prop.name === 'DTEND') current.end = parseDate(prop.value, prop.params)
+    else if (prop.name === 'UID') current.uid = prop.value
+    else if (prop.name === 'SUMMARY') current.summary = unescapeText(prop.value)
+    else if (prop.name === 'DESCRIPTION') current.description = unescapeText(prop.value)
+    else if (prop.name === 'LOCATION') current.location = unescapeText(prop.value)
+  }
+  return { events }
+}
+
+module.exports = { parseIcs }
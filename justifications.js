@@ -0,0 +1,87 @@
+// justifications.js — dépôt des justificatifs d'absence par les familles
+// (lien public ou espace parent). La validation par un prof ou un admin se
+// fait dans server.js.
+
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const pool = require('./db')
+
+const UPLOADS = path.join(__dirname, 'uploads', 'justifications')
+fs.mkdirSync(UPLOADS, { recursive: true })
+
+// Limite du fichier décodé : en base64 il doit tenir sous express.json (2 Mo)
+const MAX_DOCUMENT_BYTES = 1024 * 1024
+const MAX_RANGE_DAYS = 92
+
+// Types acceptés et signature binaire attendue en tête de fichier
+const DOCUMENT_TYPES = {
+  'application/pdf': { ext: 'pdf', magic: Buffer.from('%PDF') },
+  'image/png':       { ext: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  'image/jpeg':      { ext: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+}
+
+function isYmd(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) && !Number.isNaN(Date.parse(v))
+}
+
+// Décode un document envoyé en data URL base64. Renvoie { buf, mime, ext }
+// ou { error }.
+function decodeDocument(dataUrl) {
+  const m = /^data:([\w/+.-]+);base64,(.+)$/s.exec(String(dataUrl))
+  if (!m || !DOCUMENT_TYPES[m[1]]) return { error: 'Document invalide (PDF, PNG ou JPEG attendu)' }
+  const buf = Buffer.from(m[2], 'base64')
+  if (buf.length > MAX_DOCUMENT_BYTES) return { error: 'Document trop volumineux (1 Mo maximum)' }
+  const type = DOCUMENT_TYPES[m[1]]
+  if (!buf.subarray(0, type.magic.length).equals(type.magic)) {
+    return { error: 'Le contenu du document ne correspond pas à son type' }
+  }
+  return { buf, mime: m[1], ext: type.ext }
+}
+
+// Valide et enregistre une demande de justification. Renvoie la ligne
+// créée, ou { error } avec le message à renvoyer au client (400).
+async function createJustification({ studentId, dateFrom, dateTo, reason, document, via, userId }) {
+  if (!isYmd(dateFrom) || !isYmd(dateTo)) return { error: 'Dates invalides (YYYY-MM-DD)' }
+  if (dateFrom > dateTo) return { error: 'La date de début doit précéder la date de fin' }
+  const days = (Date.parse(dateTo) - Date.parse(dateFrom)) / 86400000
+  if (days > MAX_RANGE_DAYS) return { error: `Période trop longue (${MAX_RANGE_DAYS} jours maximum)` }
+
+  const motif = String(reason || '').trim().slice(0, 1000)
+  if (!motif) return { error: 'Motif requis' }
+
+  let doc = null
+  if (document) {
+    doc = decodeDocument(document)
+    if (doc.error) return { error: doc.error }
+  }
+
+  let filename = null
+  if (doc) {
+    filename = `justificatif-${studentId}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${doc.ext}`
+    fs.writeFileSync(path.join(UPLOADS, filename), doc.buf)
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO absence_justifications
+         (student_id, date_from, date_to, reason, document_filename, document_mime, submitted_via, submitted_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, student_id,
+                 to_char(date_from, 'YYYY-MM-DD') AS date_from,
+                 to_char(date_to,   'YYYY-MM-DD') AS date_to,
+                 reason, status, created_at, (document_filename IS NOT NULL) AS has_document`,
+      [studentId, dateFrom, dateTo, motif, filename, doc?.mime ?? null, via, userId ?? null],
+    )
+    return rows[0]
+  } catch (e) {
+    if (filename) fs.rmSync(path.join(UPLOADS, filename), { force: true })
+    throw e
+  }
+}
+
+function documentPath(filename) {
+  return path.join(UPLOADS, path.basename(filename))
+}
+
+module.exports = { createJustification, documentPath }
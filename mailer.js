@@ -31,4 +31,71 @@ async function sendDossierEmail(type, nomEleve, prenomEleve, pdfPath) {
   })
 }
 
-module.exports = { sendDossierEmail }
\ No newline at end of file
+async function sendPasswordResetEmail(to, username, resetUrl, ttlMinutes) {
+  const transport = createTransport()
+
+  await transport.sendMail({
+    from: `"Ecole de Musique Marpent" <${process.env.SMTP_USER}>`,
+    to,
+    subject: 'Réinitialisation de votre mot de passe',
+    text:
+      `Bonjour ${username},\n\n` +
+      `Une réinitialisation du mot de passe de votre compte de pointage a été demandée.\n` +
+      `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${ttlMinutes} minutes, une seule fois) :\n\n` +
+      `${resetUrl}\n\n` +
+      `Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet email.`,
+  })
+}
+
+async function sendParentWelcomeEmail(to, activationUrl) {
+  const transport = createTransport()
+
+  await transport.sendMail({
+    from: `"Ecole de Musique Marpent" <${process.env.SMTP_USER}>`,
+    to,
+    subject: 'Votre espace famille — Ecole de Musique Marpent',
+    text:
+      `Bonjour,\n\n` +
+      `Le dossier d'inscription de votre enfant a été accepté. Un espace famille a été créé pour ` +
+      `suivre ses présences aux cours.\n\n` +
+      `Identifiant : ${to}\n` +
+      `Pour choisir votre mot de passe, ouvrez ce lien (valable 7 jours) :\n\n` +
+      `${activationUrl}`,
+  })
+}
+
+async function sendAbsenceAlertsEmail(lines) {
+  const transport = createTransport()
+
+  await transport.sendMail({
+    from: `"Ecole de Musique Marpent" <${process.env.SMTP_USER}>`,
+    to: process.env.MAIL_DEST,
+    subject: `[Absences] ${lines.length} élève(s) à suivre`,
+    text:
+      `Les élèves suivants dépassent le seuil d'absences répétées :\n\n` +
+      lines.map((l) => `- ${l}`).join('\n'),
+  })
+}
+
+async function sendFamilyAbsenceEmail(to, studentName, className) {
+  const transport = createTransport()
+
+  await transport.sendMail({
+    from: `"Ecole de Musique Marpent" <${process.env.SMTP_USER}>`,
+    to,
+    subject: `Absences de ${studentName}`,
+    text:
+      `Bonjour,\n\n` +
+      `Nous avons constaté plusieurs absences non justifiées de ${studentName} au cours « ${className} ».\n` +
+      `N'hésitez pas à nous contacter ou à justifier ces absences depuis votre espace famille.\n\n` +
+      `L'équipe de l'Ecole de Musique`,
+  })
+}
+
+module.exports = {
+  sendDossierEmail,
+  sendPasswordResetEmail,
+  sendParentWelcomeEmail,
+  sendAbsenceAlertsEmail,
+  sendFamilyAbsenceEmail,
+}
\ No newline at end of file
@@ -315,6 +315,187 @@ function signatureBlock(doc, x, y, data) {
   embedSignature(doc, data.signature, x + 200, y + 44, 180, 55)
 }
 
+// ─── Feuille d'emargement (classe x mois) ───────────────────────
+
+// Abreviations imprimees dans les cases (legende en bas de page)
+const SHEET_CODES = {
+  present: 'P',
+  absent: 'A',
+  excused: 'E',
+  late: 'R',
+  left_early: 'D',
+}
+const SHEET_CLOSED = { cancelled: 'Annulee', holiday: 'Ferie', vacation: 'Vacances' }
+
+function sheetHeader(doc, data, L, W) {
+  doc.fontSize(14).font('Helvetica-Bold').fillColor('black')
+     .text("FEUILLE D'EMARGEMENT", L, 30, { align: 'center', width: W })
+  doc.fontSize(10).font('Helvetica-Oblique').fillColor('#444')
+     .text('Harmonie Communale de Marpent — Ecole de Musique', L, 48, { align: 'center', width: W })
+  doc.fillColor('black').font('Helvetica').fontSize(10)
+     .text(`Classe : ${data.className}`, L, 68, { lineBreak: false })
+     .text(`Mois : ${data.monthLabel}`, L + W / 2, 68, { lineBreak: false })
+  if (data.profName) doc.text(`Professeur : ${data.profName}`, L, 82, { lineBreak: false })
+}
+
+// data = { className, monthLabel, profName, blank,
+//          sessions: [{ id, date, status }],
+//          students: [{ name, marks: { [sessionId]: { status, minutes } } }] }
+function addAttendanceSheet(doc, data) {
+  doc.addPage()
+  const L = 30, W = doc.page.width - 60
+  const ROW_H = 20, HEAD_H = 30, NAME_W = 160, TOTAL_W = 34
+  const totals = data.blank ? [] : ['Pres.', 'Abs.', 'Exc.']
+  const sessions = data.sessions
+  const cellW = Math.min(70, (W - NAME_W - totals.length * TOTAL_W) / Math.max(sessions.length, 1))
+  const tableW = NAME_W + cellW * sessions.length + TOTAL_W * totals.length
+  const bottom = doc.page.height - 100 // place pour la legende et la signature
+
+  let y
+  const drawHead = (newPage) => {
+    if (newPage) doc.addPage()
+    sheetHeader(doc, data, L, W)
+    y = 100
+    doc.rect(L, y, tableW, HEAD_H).fillAndStroke('#eeeeee', '#333')
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(9)
+       .text('Eleve', L + 4, y + 10, { width: NAME_W - 8, lineBreak: false })
+    sessions.forEach((s, i) => {
+      const x = L + NAME_W + i * cellW
+      const [, m, d] = s.date.split('-')
+      doc.rect(x, y, cellW, HEAD_H).stroke('#333')
+      doc.text(`${d}/${m}`, x, y + 6, { width: cellW, align: 'center', lineBreak: false })
+      if (SHEET_CLOSED[s.status]) {
+        doc.font('Helvetica').fontSize(7)
+           .text(SHEET_CLOSED[s.status], x, y + 18, { width: cellW, align: 'center', lineBreak: false })
+        doc.font('Helvetica-Bold').fontSize(9)
+      }
+    })
+    totals.forEach((t, i) => {
+      const x = L + NAME_W + sessions.length * cellW + i * TOTAL_W
+      doc.rect(x, y, TOTAL_W, HEAD_H).stroke('#333')
+      doc.text(t, x, y + 10, { width: TOTAL_W, align: 'center', lineBreak: false })
+    })
+    y += HEAD_H
+  }
+
+  drawHead(false)
+  data.students.forEach((st) => {
+    if (y + ROW_H > bottom) drawHead(true)
+    doc.rect(L, y, NAME_W, ROW_H).stroke('#333')
+    doc.fillColor('black').font('Helvetica').fontSize(9)
+       .text(st.name, L + 4, y + 6, { width: NAME_W - 8, lineBreak: false, ellipsis: true })
+
+    const count = { present: 0, absent: 0, excused: 0 }
+    sessions.forEach((s, i) => {
+      const x = L + NAME_W + i * cellW
+      if (SHEET_CLOSED[s.status]) {
+        doc.rect(x, y, cellW, ROW_H).fillAndStroke('#cccccc', '#333')
+        doc.fillColor('black')
+        return
+      }
+      doc.rect(x, y, cellW, ROW_H).stroke('#333')
+      const mark = !data.blank && st.marks[s.id]
+      if (!mark) return
+      const label = SHEET_CODES[mark.status] + (mark.minutes ? ` ${mark.minutes}'` : '')
+      doc.text(label, x, y + 6, { width: cellW, align: 'center', lineBreak: false })
+      if (mark.status === 'absent') count.absent++
+      else if (mark.status === 'excused') count.excused++
+      else count.present++
+    })
+    totals.forEach((_t, i) => {
+      const x = L + NAME_W + sessions.length * cellW + i * TOTAL_W
+      doc.rect(x, y, TOTAL_W, ROW_H).stroke('#333')
+      const n = [count.present, count.absent, count.excused][i]
+      doc.font('Helvetica-Bold')
+         .text(String(n), x, y + 6, { width: TOTAL_W, align: 'center', lineBreak: false })
+      doc.font('Helvetica')
+    })
+    y += ROW_H
+  })
+
+  doc.font('Helvetica').fontSize(8).fillColor('#333')
+     .text(
+       'P : present   A : absent   E : excuse   R : retard (minutes)   D : depart anticipe (minutes)' +
+       '   Cases grisees : seance non tenue (annulee, ferie, vacances)',
+       L, y + 10, { width: W },
+     )
+  doc.fillColor('black').fontSize(10)
+     .text('Signature du professeur :', L + W - 220, y + 34, { lineBreak: false })
+  doc.moveTo(L + W - 220, y + 80).lineTo(L + W, y + 80).stroke('#999')
+}
+
+// ─── Attestation de presence (par eleve) ────────────────────────
+
+// data = { number, studentName, periodLabel, verifyUrl,
+//          classes: [{ class_name, held, attended, excused }],
+//          faita, dateAcceptation, signataire, signature }
+function addAttendanceCertificate(doc, data) {
+  doc.addPage()
+  const L = 50, W = doc.page.width - 100
+
+  doc.fontSize(16).font('Helvetica-Bold').fillColor('black')
+     .text('ATTESTATION DE PRESENCE', L, 50, { align: 'center', width: W })
+  doc.moveTo(L, 74).lineTo(L + W, 74).stroke('#888')
+  doc.fontSize(10).font('Helvetica-Oblique').fillColor('#444')
+     .text('Harmonie Communale de Marpent — Ecole de Musique', L, 80, { align: 'center', width: W })
+  doc.moveTo(L, 98).lineTo(L + W, 98).stroke('#ddd')
+
+  doc.fillColor('black').font('Helvetica').fontSize(9)
+     .text(`Attestation n° ${data.number}`, L, 110, { align: 'right', width: W })
+
+  doc.fontSize(11)
+     .text('Je soussigne(e) ', L, 150, { continued: true })
+     .font('Helvetica-Bold').text(data.signataire, { continued: true })
+     .font('Helvetica').text(", atteste que l'eleve ", { continued: true })
+     .font('Helvetica-Bold').text(data.studentName, { continued: true })
+     .font('Helvetica').text(` a suivi les cours de l'ecole de musique ${data.periodLabel}, avec l'assiduite suivante :`, { width: W })
+
+  // Tableau par classe
+  const cols = [
+    { label: 'Classe', w: W - 3 * 100 },
+    { label: 'Seances tenues', w: 100 },
+    { label: 'Presences', w: 100 },
+    { label: 'Absences excusees', w: 100 },
+  ]
+  let y = doc.y + 20
+  const row = (cells, bold, fill) => {
+    let x = L
+    cells.forEach((v, i) => {
+      if (fill) doc.rect(x, y, cols[i].w, 20).fillAndStroke(fill, '#333')
+      else doc.rect(x, y, cols[i].w, 20).stroke('#333')
+      doc.fillColor('black').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+         .text(String(v), x + 4, y + 6, {
+           width: cols[i].w - 8, align: i === 0 ? 'left' : 'center', lineBreak: false, ellipsis: true,
+         })
+      x += cols[i].w
+    })
+    y += 20
+  }
+  row(cols.map((c) => c.label), true, '#eeeeee')
+  const total = { held: 0, attended: 0, excused: 0 }
+  data.classes.forEach((c) => {
+    row([c.class_name, c.held, c.attended, c.excused])
+    total.held += c.held
+    total.attended += c.attended
+    total.excused += c.excused
+  })
+  if (data.classes.length > 1) row(['Total', total.held, total.attended, total.excused], true)
+
+  doc.font('Helvetica').fontSize(11)
+     .text('Attestation delivree pour servir et valoir ce que de droit.', L, y + 24, { width: W })
+
+  signatureBlock(doc, L, doc.y + 30, data)
+
+  // Pied de page : verification de l'authenticite
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#444')
+     .text(
+       `Authenticite verifiable avec le numero ${data.number}` +
+       (data.verifyUrl ? ` : ${data.verifyUrl}` : ''),
+       L, doc.page.height - 60, { align: 'center', width: W },
+     )
+  doc.fillColor('black')
+}
+
 // ─── Export ──────────────────────────────────────────────────────
 
 function generateDossierPDF(outputPath, type, data) {
@@ -339,4 +520,27 @@ function generateDossierPDF(outputPath, type, data) {
   })
 }
 
-module.exports = { generateDossierPDF }
\ No newline at end of file
+// Ecrit la feuille d'emargement dans `out` (fichier ou reponse HTTP)
+function generateAttendanceSheetPDF(out, data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0, autoFirstPage: false })
+    doc.pipe(out)
+    addAttendanceSheet(doc, data)
+    doc.end()
+    out.on('finish', resolve)
+    out.on('error', reject)
+  })
+}
+
+function generateAttendanceCertificatePDF(out, data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false })
+    doc.pipe(out)
+    addAttendanceCertificate(doc, data)
+    doc.end()
+    out.on('finish', resolve)
+    out.on('error', reject)
+  })
+}
+
+module.exports = { generateDossierPDF, generateAttendanceSheetPDF, generateAttendanceCertificatePDF }
\ No newline at end of file
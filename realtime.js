@@ -0,0 +1,115 @@
+// realtime.js — diffusion en direct des pointages et des changements de
+// statut de séance (WebSocket, chemin /ws). Deux co-profs qui pointent la
+// même séance sur deux tablettes voient les saisies de l'autre.
+//
+// Connexion : ws(s)://…/ws?token=<access token JWT> (les navigateurs ne
+// permettent pas d'en-tête Authorization sur un WebSocket).
+// Messages client : { type: 'subscribe' | 'unsubscribe', class_id? , session_id? }
+// Messages serveur : { type: 'subscribed' | 'unsubscribed' | 'error', … }
+//                    { type: 'attendance' | 'session_status', class_id, session_id, … }
+
+const { WebSocketServer } = require('ws')
+
+const HEARTBEAT_MS = 30 * 1000
+const MAX_PENDING = 20
+
+let wss = null
+
+// `authenticate(token)` renvoie l'utilisateur ou null ; `classOfSession(id)`
+// renvoie la classe d'une séance ou null ; `canViewClass(user, classId)`
+// applique les mêmes règles que ensureClassAccess('viewer').
+function attachRealtime(server, { authenticate, classOfSession, canViewClass }) {
+  wss = new WebSocketServer({ server, path: '/ws' })
+
+  wss.on('connection', async (ws, req) => {
+    // Messages reçus pendant l'authentification : mis en attente puis
+    // traités dans l'ordre, pour ne pas perdre un subscribe envoyé dès
+    // l'ouverture du socket
+    const pending = []
+    let ready = false
+    ws.on('message', (raw) => {
+      if (ready) return onMessage(ws, raw, { classOfSession, canViewClass })
+      if (pending.length < MAX_PENDING) pending.push(raw)
+    })
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token')
+    const user = await authenticate(token).catch(() => null)
+    if (!user) return ws.close(4001, 'Non authentifié')
+
+    ws.classes = new Set()
+    ws.sessions = new Set()
+    ws.isAlive = true
+    ws.on('pong', () => { ws.isAlive = true })
+
+    // Le token d'accès est court : la connexion tombe à son expiration et
+    // le client se reconnecte avec un token rafraîchi.
+    const ttl = user.exp * 1000 - Date.now()
+    const expiry = setTimeout(() => ws.close(4001, 'Token expiré'), Math.max(ttl, 0))
+    ws.on('close', () => clearTimeout(expiry))
+
+    ws.user = user
+    while (pending.length) await onMessage(ws, pending.shift(), { classOfSession, canViewClass })
+    ready = true
+  })
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) { ws.terminate(); continue }
+      ws.isAlive = false
+      ws.ping()
+    }
+  }, HEARTBEAT_MS)
+  wss.on('close', () => clearInterval(heartbeat))
+}
+
+async function onMessage(ws, raw, deps) {
+  let msg
+  try {
+    msg = JSON.parse(raw)
+  } catch {
+    return send(ws, { type: 'error', message: 'Message JSON invalide' })
+  }
+  try {
+    await handleMessage(ws, msg, deps)
+  } catch (e) {
+    console.error('[ws] message :', e)
+    send(ws, { type: 'error', message: 'Erreur serveur' })
+  }
+}
+
+async function handleMessage(ws, msg, { classOfSession, canViewClass }) {
+  if (msg.type !== 'subscribe' && msg.type !== 'unsubscribe') {
+    return send(ws, { type: 'error', message: 'type inconnu' })
+  }
+  const sessionId = msg.session_id != null ? Number(msg.session_id) : null
+  const classId = sessionId != null ? await classOfSession(sessionId) : Number(msg.class_id)
+  if (!Number.isInteger(classId)) {
+    return send(ws, { type: 'error', message: sessionId != null ? 'Séance introuvable' : 'class_id invalide' })
+  }
+
+  const target = sessionId != null ? ws.sessions : ws.classes
+  const id = sessionId != null ? sessionId : classId
+  if (msg.type === 'unsubscribe') {
+    target.delete(id)
+    return send(ws, { type: 'unsubscribed', class_id: classId, session_id: sessionId })
+  }
+  if (!(await canViewClass(ws.user, classId))) {
+    return send(ws, { type: 'error', message: 'Accès refusé à cette classe', class_id: classId })
+  }
+  target.add(id)
+  send(ws, { type: 'subscribed', class_id: classId, session_id: sessionId })
+}
+
+function send(ws, payload) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload))
+}
+
+// Diffuse un événement aux abonnés de la classe ou de la séance concernée
+function publish(event) {
+  if (!wss) return
+  for (const ws of wss.clients) {
+    if (ws.classes?.has(event.class_id) || ws.sessions?.has(event.session_id)) send(ws, event)
+  }
+}
+
+module.exports = { attachRealtime, publish }
@@ -0,0 +1,152 @@
+// recurrence.js — règles de récurrence des créneaux de classe : un
+// sous-ensemble de RRULE (RFC 5545), sans dépendance.
+//
+//   FREQ=WEEKLY;INTERVAL=2              une semaine sur deux
+//   FREQ=MONTHLY;BYSETPOS=1             premier <jour du créneau> du mois
+//   FREQ=MONTHLY;BYDAY=-1SA             dernier samedi du mois
+//   …;UNTIL=20260630 ou …;COUNT=10      fin de série
+//
+// Le jour vient du créneau (BYDAY facultatif, mais alors identique). La
+// série part de `dtstart` (requis avec INTERVAL > 1 ou COUNT, pour que la
+// semaine ou le mois de référence ne dépende pas de la plage générée). Les
+// dates d'exception (`exdates`) sont retirées après application de COUNT,
+// comme EXDATE.
+
+const DAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] // ISO 1 … 7
+const MAX_OCCURRENCES = 1000
+
+function parseYmd(v) {
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})(?:T\d{6}Z?)?$/.exec(String(v || '').trim())
+  if (!m) return null
+  const ymd = `${m[1]}-${m[2]}-${m[3]}`
+  const d = new Date(`${ymd}T12:00:00Z`)
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== ymd ? null : ymd
+}
+
+function toDate(ymd) {
+  return new Date(`${ymd}T12:00:00Z`)
+}
+
+function toYmd(d) {
+  return d.toISOString().slice(0, 10)
+}
+
+function isoDay(d) {
+  return d.getUTCDay() || 7
+}
+
+// Analyse une règle pour un créneau du jour ISO `weekday`.
+// Renvoie { rule: { freq, interval, bysetpos, until, count } } ou { error }.
+function parseRrule(text, weekday) {
+  const parts = String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)
+  const rule = { freq: null, interval: 1, bysetpos: null, until: null, count: null }
+  for (const part of parts) {
+    const [rawKey, value = ''] = part.split('=')
+    const key = rawKey.trim().toUpperCase()
+    const v = value.trim().toUpperCase()
+    if (key === 'FREQ') {
+      if (v !== 'WEEKLY' && v !== 'MONTHLY') return { error: 'FREQ doit valoir WEEKLY ou MONTHLY' }
+      rule.freq = v
+    } else if (key === 'INTERVAL') {
+      rule.interval = Number(v)
+      if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+        return { error: 'INTERVAL invalide (1 à 52)' }
+      }
+    } else if (key === 'BYDAY') {
+      // « SA » ou, en mensuel, « 1SA » / « -1SA » (raccourci de BYSETPOS)
+      const m = /^([+-]?\d)?([A-Z]{2})$/.exec(v)
+      if (!m || DAY_CODES.indexOf(m[2]) + 1 !== weekday) {
+        return { error: `BYDAY doit correspondre au jour du créneau (${DAY_CODES[weekday - 1]})` }
+      }
+      if (m[1]) rule.bysetpos = [Number(m[1])]
+    } else if (key === 'BYSETPOS') {
+      rule.bysetpos = v.split(',').map(Number)
+    } else if (key === 'UNTIL') {
+      rule.until = parseYmd(v)
+      if (!rule.until) return { error: 'UNTIL invalide (AAAAMMJJ)' }
+    } else if (key === 'COUNT') {
+      rule.count = Number(v)
+      if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+        return { error: `COUNT invalide (1 à ${MAX_OCCURRENCES})` }
+      }
+    } else {
+      return { error: `${key} non pris en charge (FREQ, INTERVAL, BYDAY, BYSETPOS, UNTIL, COUNT)` }
+    }
+  }
+  if (!rule.freq) return { error: 'FREQ requis' }
+  if (rule.until && rule.count) return { error: 'UNTIL et COUNT sont exclusifs' }
+  if (rule.bysetpos) {
+    if (rule.freq !== 'MONTHLY') return { error: 'BYSETPOS réservé à FREQ=MONTHLY' }
+    if (rule.bysetpos.some((n) => !Number.isInteger(n) || n === 0 || n < -5 || n > 5)) {
+      return { error: 'BYSETPOS invalide (1 à 5, ou -1 à -5 depuis la fin du mois)' }
+    }
+    rule.bysetpos = [...new Set(rule.bysetpos)].sort((a, b) => a - b)
+  }
+  return { rule }
+}
+
+// Forme canonique, celle stockée en base
+function formatRrule(rule, weekday) {
+  return [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 ? `INTERVAL=${rule.interval}` : null,
+    `BYDAY=${DAY_CODES[weekday - 1]}`,
+    rule.bysetpos ? `BYSETPOS=${rule.bysetpos.join(',')}` : null,
+    rule.until ? `UNTIL=${rule.until.replace(/-/g, '')}` : null,
+    rule.count ? `COUNT=${rule.count}` : null,
+  ].filter(Boolean).join(';')
+}
+
+function needsStart(rule) {
+  return rule.interval > 1 || rule.count != null
+}
+
+// Jours `weekday` du mois de `d`, retenus selon BYSETPOS
+function monthDays(d, weekday, bysetpos) {
+  const y = d.getUTCFullYear()
+  const m = d.getUTCMonth()
+  const days = []
+  for (let day = new Date(Date.UTC(y, m, 1, 12)); day.getUTCMonth() === m; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (isoDay(day) === weekday) days.push(toYmd(day))
+  }
+  if (!bysetpos) return days
+  return [...new Set(bysetpos.map((n) => days[n > 0 ? n - 1 : days.length + n]).filter(Boolean))].sort()
+}
+
+// Dates (YYYY-MM-DD) d'un créneau { weekday, rrule?, dtstart?, exdates? }
+// entre from et to inclus. Sans règle : chaque semaine.
+function slotDates(slot, from, to) {
+  const parsed = slot.rrule ? parseRrule(slot.rrule, slot.weekday) : { rule: { freq: 'WEEKLY', interval: 1 } }
+  if (parsed.error) return []
+  const { rule } = parsed
+  const start = slot.dtstart || from
+  const exdates = new Set(slot.exdates || [])
+  const last = rule.until && rule.until < to ? rule.until : to
+  const out = []
+  let n = 0
+  const take = (ymd) => {
+    if (ymd < start) return true
+    if (ymd > last || (rule.count && n >= rule.count)) return false
+    n += 1
+    if (ymd >= from && !exdates.has(ymd)) out.push(ymd)
+    return true
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const d = toDate(start)
+    d.setUTCDate(d.getUTCDate() + ((slot.weekday - isoDay(d) + 7) % 7))
+    for (let i = 0; i < MAX_OCCURRENCES * 10 && take(toYmd(d)); i++) {
+      d.setUTCDate(d.getUTCDate() + 7 * rule.interval)
+    }
+  } else {
+    const month = toDate(start)
+    month.setUTCDate(1)
+    for (let i = 0; i < MAX_OCCURRENCES; i++) {
+      if (!monthDays(month, slot.weekday, rule.bysetpos).every(take)) break
+      month.setUTCMonth(month.getUTCMonth() + rule.interval)
+    }
+  }
+  return out
+}
+
+module.exports = { parseRrule, formatRrule, needsStart, parseYmd, slotDates }
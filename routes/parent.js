@@ -0,0 +1,159 @@
+const express = require('express')
+const router = express.Router()
+const pool = require('../db')
+const { createJustification } = require('../justifications')
+
+// Classes suivies par l'élève sur l'année courante : ses inscriptions de
+// l'année, ou à défaut sa classe actuelle (élèves antérieurs aux enrollments).
+const CHILD_SESSIONS = `
+  FROM sessions s
+  JOIN school_years sy ON sy.id = s.school_year_id AND sy.is_current = true
+  JOIN classes c ON c.id = s.class_id
+  LEFT JOIN attendances a ON a.session_id = s.id AND a.student_id = $1
+  WHERE s.class_id IN (
+    SELECT ce.class_id FROM class_enrollments ce
+    WHERE ce.student_id = $1 AND ce.school_year_id = sy.id
+    UNION
+    SELECT st.class_id FROM students st WHERE st.id = $1 AND st.class_id IS NOT NULL
+  )`
+
+// Vérifie que l'élève :studentId est bien lié au parent connecté
+async function ensureOwnChild(req, res, next) {
+  try {
+    const studentId = Number(req.params.studentId)
+    if (!Number.isInteger(studentId)) return res.status(400).json({ message: 'studentId invalide' })
+    const { rows } = await pool.query(
+      'SELECT 1 FROM parent_students WHERE parent_id = $1 AND student_id = $2',
+      [req.user.id, studentId],
+    )
+    if (!rows.length) return res.status(403).json({ message: 'Accès refusé à cet élève' })
+    next()
+  } catch (e) {
+    console.error('ensureOwnChild', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+}
+
+// GET /api/parent/children
+router.get('/children', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.id, s.firstname, s.lastname, c.id AS class_id, c.nom AS class_name
+       FROM parent_students ps
+       JOIN students s ON s.id = ps.student_id
+       LEFT JOIN classes c ON c.id = s.class_id
+       WHERE ps.parent_id = $1
+       ORDER BY s.firstname ASC`,
+      [req.user.id],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/parent/children :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// GET /api/parent/children/:studentId/sessions
+// Toutes les séances de l'année courante, avec le pointage de l'enfant s'il existe
+router.get('/children/:studentId/sessions', ensureOwnChild, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.id, to_char(s.date, 'YYYY-MM-DD') AS date, s.status, s.note,
+              to_char(s.start_time, 'HH24:MI') AS start_time,
+              to_char(s.end_time, 'HH24:MI') AS end_time, s.room,
+              c.id AS class_id, c.nom AS class_name,
+              a.status AS attendance, a.comment, a.minutes
+       ${CHILD_SESSIONS}
+       ORDER BY s.date ASC, c.nom ASC`,
+      [Number(req.params.studentId)],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/parent/children/:id/sessions :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// GET /api/parent/children/:studentId/attendance
+// Historique des pointages de l'année courante + totaux par statut
+router.get('/children/:studentId/attendance', ensureOwnChild, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.id AS session_id, to_char(s.date, 'YYYY-MM-DD') AS date,
+              c.id AS class_id, c.nom AS class_name,
+              a.status, a.comment, a.minutes
+       ${CHILD_SESSIONS}
+         AND a.status IS NOT NULL
+       ORDER BY s.date DESC, c.nom ASC`,
+      [Number(req.params.studentId)],
+    )
+    const totals = {}
+    for (const r of rows) totals[r.status] = (totals[r.status] || 0) + 1
+    res.json({ totals, history: rows })
+  } catch (e) {
+    console.error('GET /api/parent/children/:id/attendance :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// GET /api/parent/children/:studentId/excused
+router.get('/children/:studentId/excused', ensureOwnChild, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.id AS session_id, to_char(s.date, 'YYYY-MM-DD') AS date,
+              c.id AS class_id, c.nom AS class_name, a.comment
+       ${CHILD_SESSIONS}
+         AND a.status = 'excused'
+       ORDER BY s.date DESC`,
+      [Number(req.params.studentId)],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/parent/children/:id/excused :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// GET /api/parent/children/:studentId/justifications
+router.get('/children/:studentId/justifications', ensureOwnChild, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, to_char(date_from, 'YYYY-MM-DD') AS date_from,
+              to_char(date_to, 'YYYY-MM-DD') AS date_to,
+              reason, status, review_comment, created_at,
+              (document_filename IS NOT NULL) AS has_document
+       FROM absence_justifications
+       WHERE student_id = $1
+       ORDER BY created_at DESC`,
+      [Number(req.params.studentId)],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/parent/children/:id/justifications :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// POST /api/parent/children/:studentId/justifications
+// { date_from, date_to, reason, document? (data URL PDF/PNG/JPEG) }
+router.post('/children/:studentId/justifications', ensureOwnChild, async (req, res) => {
+  try {
+    const { date_from, date_to, reason, document } = req.body || {}
+    const created = await createJustification({
+      studentId: Number(req.params.studentId),
+      dateFrom: date_from,
+      dateTo: date_to,
+      reason,
+      document,
+      via: 'parent',
+      userId: req.user.id,
+    })
+    if (created.error) return res.status(400).json({ message: created.error })
+    res.status(201).json(created)
+  } catch (e) {
+    console.error('POST /api/parent/children/:id/justifications :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+module.exports = router
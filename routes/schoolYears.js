@@ -1,138 +1,31 @@
 const express = require('express')
 const router = express.Router()
 const pool = require('../db')
-
-// ─── Vacances scolaires Zone B + jours fériés ────────────────
-// Source : education.gouv.fr — à vérifier chaque année
-const VACANCES_ZONE_B = {
-  '2025-2026': [
-    { start: '2025-10-18', end: '2025-11-02', label: 'Toussaint' },
-    { start: '2025-12-20', end: '2026-01-04', label: 'Noël' },
-    { start: '2026-02-14', end: '2026-03-01', label: 'Hiver' },
-    { start: '2026-04-11', end: '2026-04-26', label: 'Printemps' },
-  ],
-  '2026-2027': [
-    { start: '2026-10-17', end: '2026-11-01', label: 'Toussaint' },
-    { start: '2026-12-19', end: '2027-01-03', label: 'Noël' },
-    { start: '2027-02-13', end: '2027-02-28', label: 'Hiver' },
-    { start: '2027-04-17', end: '2027-05-02', label: 'Printemps' },
-  ],
-}
-
-const JOURS_FERIES = {
-  '2025-2026': [
-    '2025-11-11', // Armistice
-    '2026-04-06', // Lundi de Pâques
-    '2026-05-01', // Fête du Travail
-    '2026-05-08', // Victoire 1945
-    '2026-05-14', // Ascension
-    '2026-05-25', // Lundi de Pentecôte
-  ],
-  '2026-2027': [
-    '2026-11-01', // Toussaint
-    '2026-11-11', // Armistice
-    '2027-03-29', // Lundi de Pâques
-    '2027-05-01', // Fête du Travail
-    '2027-05-06', // Ascension
-    '2027-05-08', // Victoire 1945
-    '2027-05-17', // Lundi de Pentecôte
-  ],
-}
-
-// ─── Utilitaires dates (UTC strict, même logique que server.js) ─
-function utcNoon(y, m0, d) {
-  return new Date(Date.UTC(y, m0, d, 12))
-}
-
-function parseYMD(s) {
-  const [y, m, d] = s.split('-').map(Number)
-  return utcNoon(y, m - 1, d)
-}
-
-function ymdUTC(d) {
-  const y = d.getUTCFullYear()
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0')
-  const day = String(d.getUTCDate()).padStart(2, '0')
-  return `${y}-${m}-${day}`
-}
-
-// ISO weekday: 1=Lun … 6=Sam, 7=Dim → JS: 0=Dim … 6=Sam
-function jsDowFromIso(iso) { return iso % 7 }
-
-function firstOnOrAfter(startUtc, jsTarget) {
-  const d = new Date(startUtc.getTime())
-  const delta = (jsTarget - d.getUTCDay() + 7) % 7
-  d.setUTCDate(d.getUTCDate() + delta)
-  return d
-}
-
-function enumerateDates(start, end, isoDow) {
-  const jsTarget = jsDowFromIso(isoDow)
-  let d = firstOnOrAfter(start, jsTarget)
-  const out = []
-  while (d <= end) {
-    out.push(ymdUTC(d))
-    d = new Date(d.getTime() + 7 * 86400000)
-  }
-  return out
-}
-
-// ─── Statut d'une séance selon le calendrier ─────────────────
-function getStatus(dateStr, yearLabel) {
-  if ((JOURS_FERIES[yearLabel] || []).includes(dateStr)) return 'holiday'
-  for (const vac of (VACANCES_ZONE_B[yearLabel] || [])) {
-    if (dateStr >= vac.start && dateStr <= vac.end) return 'vacation'
-  }
-  return null
-}
+const {
+  insertSessions,
+  reflagSessions,
+  normalizeCalendarEntry,
+  publicHolidaysBetween,
+  ensurePublicHolidays,
+  countSessionsToFlag,
+} = require('../calendar')
+const { loadAllSlots, slotSessions } = require('../classSlots')
+const { parseIcs } = require('../ics')
 
 // ─── Génération des séances pour toutes les classes ──────────
-async function generateSessions(schoolYearId, yearLabel, startDate, endDate) {
-  const start = parseYMD(startDate)
-  const end = parseYMD(endDate)
-
-  const { rows: classes } = await pool.query(
-    'SELECT id, weekday FROM classes WHERE weekday IS NOT NULL',
-  )
+// Une séance par date de chaque créneau (classSlots.js), selon sa règle de
+// récurrence (chaque semaine par défaut) et aux heures du créneau. Les
+// dates de vacances et jours fériés viennent du calendrier en base
+// (calendar.js).
+async function generateSessions(schoolYearId, startDate, endDate) {
+  const slotsByClass = await loadAllSlots()
 
   let total = 0
 
-  for (const cls of classes) {
-    const dates = enumerateDates(start, end, cls.weekday)
-
-    const normal = [], vacation = [], holiday = []
-    for (const d of dates) {
-      const s = getStatus(d, yearLabel)
-      if (s === 'vacation') vacation.push(d)
-      else if (s === 'holiday') holiday.push(d)
-      else normal.push(d)
-    }
-
-    if (normal.length) {
-      await pool.query(
-        `INSERT INTO sessions (class_id, date, school_year_id)
-         SELECT $1, unnest($2::date[]), $3
-         ON CONFLICT (class_id, date) DO NOTHING`,
-        [cls.id, normal, schoolYearId],
-      )
-    }
-    if (vacation.length) {
-      await pool.query(
-        `INSERT INTO sessions (class_id, date, status, school_year_id)
-         SELECT $1, unnest($2::date[]), 'vacation', $3
-         ON CONFLICT (class_id, date) DO NOTHING`,
-        [cls.id, vacation, schoolYearId],
-      )
-    }
-    if (holiday.length) {
-      await pool.query(
-        `INSERT INTO sessions (class_id, date, status, school_year_id)
-         SELECT $1, unnest($2::date[]), 'holiday', $3
-         ON CONFLICT (class_id, date) DO NOTHING`,
-        [cls.id, holiday, schoolYearId],
-      )
-    }
-    total += dates.length
+  for (const [classId, slots] of slotsByClass) {
+    const sessions = slotSessions(slots, startDate, endDate)
+    await insertSessions(classId, sessions, schoolYearId)
+    total += sessions.length
   }
 
   return total
@@ -180,7 +73,7 @@ router.post('/', async (req, res) => {
     )
     const year = rows[0]
 
-    const sessionsCount = await generateSessions(year.id, label, start_date, end_date)
+    const sessionsCount = await generateSessions(year.id, year.start_date, year.end_date)
 
     res.status(201).json({ ...year, sessions_generated: sessionsCount })
   } catch (e) {
@@ -192,7 +85,8 @@ router.post('/', async (req, res) => {
   }
 })
 
-// POST /api/admin/school-years/:id/regenerate — supprime et recrée toutes les séances
+// POST /api/admin/school-years/:id/regenerate — supprime et recrée les
+// séances de l'année, sauf celles verrouillées ou déjà pointées
 router.post('/:id/regenerate', async (req, res) => {
   const id = Number(req.params.id)
   if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
@@ -208,10 +102,27 @@ router.post('/:id/regenerate', async (req, res) => {
     if (!rows.length) return res.status(404).json({ message: 'Année introuvable' })
     const year = rows[0]
 
-    await pool.query('DELETE FROM sessions WHERE school_year_id = $1', [id])
-    const count = await generateSessions(id, year.label, year.start_date, year.end_date)
+    // Les séances verrouillées ou déjà pointées sont conservées : la
+    // génération les saute (une séance par classe et par date)
+    const { rows: kept } = await pool.query(
+      `WITH del AS (
+         DELETE FROM sessions s
+         WHERE s.school_year_id = $1
+           AND s.locked_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM attendances a WHERE a.session_id = s.id)
+       )
+       SELECT COUNT(*)::int AS n FROM sessions
+       WHERE school_year_id = $1
+         AND (locked_at IS NOT NULL OR EXISTS (SELECT 1 FROM attendances a WHERE a.session_id = sessions.id))`,
+      [id],
+    )
+    const count = await generateSessions(id, year.start_date, year.end_date)
 
-    res.json({ message: `${count} séances régénérées pour ${year.label}`, sessions_generated: count })
+    res.json({
+      message: `${count} séances régénérées pour ${year.label}`,
+      sessions_generated: count,
+      sessions_kept: kept[0].n,
+    })
   } catch (e) {
     console.error('POST /api/admin/school-years/:id/regenerate :', e)
     res.status(500).json({ message: 'Erreur serveur' })
@@ -241,4 +152,367 @@ router.patch('/:id/current', async (req, res) => {
   }
 })
 
-module.exports = router
\ No newline at end of file
+// ─── Calendrier : vacances et jours fériés de l'année ─────────
+// kind : 'vacation', 'holiday' (férié ou jour local, ex. ducasse) ou
+// 'workday' (neutralise un férié). Les écritures renvoient `reflag` : les
+// séances dont le statut ne correspond plus au calendrier. Aperçu par
+// défaut, appliqué avec ?reflag=true.
+
+const CALENDAR_SELECT = `
+  SELECT id, kind, label, zone, source,
+         to_char(start_date, 'YYYY-MM-DD') AS start_date,
+         to_char(end_date,   'YYYY-MM-DD') AS end_date
+  FROM school_calendar`
+
+async function loadYear(id) {
+  const { rows } = await pool.query(
+    `SELECT id, label,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date,   'YYYY-MM-DD') AS end_date
+     FROM school_years WHERE id = $1`,
+    [id],
+  )
+  return rows[0] || null
+}
+
+// Un férié calculé supprimé ou déplacé reviendrait à la génération suivante
+const AUTO_HOLIDAY_LOCKED =
+  "Férié calculé automatiquement : pour le neutraliser, ajoutez ce jour en kind 'workday'"
+
+function inYear(entry, year) {
+  return entry.end_date >= year.start_date && entry.start_date <= year.end_date
+}
+
+// GET /api/admin/school-years/:id/calendar — périodes touchant l'année, toutes zones
+router.get('/:id/calendar', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const { rows } = await pool.query(
+      `${CALENDAR_SELECT}
+       WHERE end_date >= $1 AND start_date <= $2
+       ORDER BY start_date, kind`,
+      [year.start_date, year.end_date],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/school-years/:id/calendar :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// POST /api/admin/school-years/:id/calendar[?reflag=true]
+// { kind: 'vacation'|'holiday', label, start_date, end_date?, zone? }
+router.post('/:id/calendar', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const entry = normalizeCalendarEntry(req.body || {})
+    if (entry.error) return res.status(400).json({ message: entry.error })
+    if (!inYear(entry, year)) return res.status(400).json({ message: `Période hors de l'année ${year.label}` })
+
+    const { rows } = await pool.query(
+      `INSERT INTO school_calendar (kind, label, start_date, end_date, zone)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [entry.kind, entry.label, entry.start_date, entry.end_date, entry.zone],
+    )
+    const reflag = await reflagSessions(entry.start_date, entry.end_date, {
+      apply: String(req.query.reflag || 'false') === 'true',
+    })
+    res.status(201).json({ id: rows[0].id, ...entry, reflag })
+  } catch (e) {
+    console.error('POST /api/admin/school-years/:id/calendar :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// PATCH /api/admin/school-years/:id/calendar/:entryId[?reflag=true]
+router.patch('/:id/calendar/:entryId', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const entryId = Number(req.params.entryId)
+    if (!Number.isInteger(entryId)) return res.status(400).json({ message: 'entryId invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const { rows: cur } = await pool.query(`${CALENDAR_SELECT} WHERE id = $1`, [entryId])
+    if (!cur.length || !inYear(cur[0], year)) return res.status(404).json({ message: 'Période introuvable' })
+
+    const entry = normalizeCalendarEntry(req.body || {}, cur[0])
+    if (entry.error) return res.status(400).json({ message: entry.error })
+    if (cur[0].source === 'auto' && (entry.kind !== cur[0].kind || entry.start_date !== cur[0].start_date ||
+        entry.end_date !== cur[0].end_date || entry.zone !== cur[0].zone)) {
+      return res.status(409).json({ message: AUTO_HOLIDAY_LOCKED })
+    }
+    if (!inYear(entry, year)) return res.status(400).json({ message: `Période hors de l'année ${year.label}` })
+
+    await pool.query(
+      `UPDATE school_calendar
+         SET kind = $2, label = $3, start_date = $4, end_date = $5, zone = $6
+       WHERE id = $1`,
+      [cur[0].id, entry.kind, entry.label, entry.start_date, entry.end_date, entry.zone],
+    )
+    // Ancienne et nouvelle plage : les séances libérées repassent en ordinaire
+    const from = cur[0].start_date < entry.start_date ? cur[0].start_date : entry.start_date
+    const to = cur[0].end_date > entry.end_date ? cur[0].end_date : entry.end_date
+    const reflag = await reflagSessions(from, to, { apply: String(req.query.reflag || 'false') === 'true' })
+    res.json({ id: cur[0].id, ...entry, reflag })
+  } catch (e) {
+    console.error('PATCH /api/admin/school-years/:id/calendar/:entryId :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// DELETE /api/admin/school-years/:id/calendar/:entryId[?reflag=true]
+router.delete('/:id/calendar/:entryId', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const entryId = Number(req.params.entryId)
+    if (!Number.isInteger(entryId)) return res.status(400).json({ message: 'entryId invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const { rows: cur } = await pool.query(`${CALENDAR_SELECT} WHERE id = $1`, [entryId])
+    if (!cur.length || !inYear(cur[0], year)) return res.status(404).json({ message: 'Période introuvable' })
+    if (cur[0].source === 'auto') return res.status(409).json({ message: AUTO_HOLIDAY_LOCKED })
+
+    const { rows } = await pool.query(
+      `DELETE FROM school_calendar WHERE id = $1
+       RETURNING to_char(start_date, 'YYYY-MM-DD') AS start_date,
+                 to_char(end_date,   'YYYY-MM-DD') AS end_date`,
+      [cur[0].id],
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Période introuvable' })
+    const reflag = await reflagSessions(rows[0].start_date, rows[0].end_date, {
+      apply: String(req.query.reflag || 'false') === 'true',
+    })
+    res.json({ deleted: true, reflag })
+  } catch (e) {
+    console.error('DELETE /api/admin/school-years/:id/calendar/:entryId :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// GET /api/admin/school-years/:id/calendar/public-holidays
+// Fériés calculés de l'année et leur prise en compte : 'auto' (ajouté
+// d'office), 'explicit' (saisi à la main ce jour-là), 'workday'
+// (neutralisé par un jour travaillé) ou 'missing' (pas encore ajouté)
+router.get('/:id/calendar/public-holidays', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const holidays = publicHolidaysBetween(year.start_date, year.end_date)
+    const { rows } = await pool.query(
+      `SELECT t.d::text AS date,
+              (SELECT CASE WHEN sc.kind = 'workday' THEN 'workday'
+                           WHEN sc.source = 'auto' THEN 'auto'
+                           ELSE 'explicit' END
+               FROM school_calendar sc
+               WHERE sc.kind IN ('holiday', 'workday') AND t.d BETWEEN sc.start_date AND sc.end_date
+               ORDER BY sc.kind = 'workday' DESC
+               LIMIT 1) AS state
+       FROM unnest($1::date[]) AS t(d)`,
+      [holidays.map((h) => h.date)],
+    )
+    const state = new Map(rows.map((r) => [r.date, r.state || 'missing']))
+    res.json(holidays.map((h) => ({ ...h, state: state.get(h.date) })))
+  } catch (e) {
+    console.error('GET /api/admin/school-years/:id/calendar/public-holidays :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// POST /api/admin/school-years/:id/calendar/public-holidays[?reflag=true]
+// Ajoute les fériés manquants (fait aussi à chaque génération de séances)
+router.post('/:id/calendar/public-holidays', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    const added = await ensurePublicHolidays(year.start_date, year.end_date)
+    const reflag = await reflagSessions(year.start_date, year.end_date, {
+      apply: String(req.query.reflag || 'false') === 'true',
+    })
+    res.json({ added, reflag })
+  } catch (e) {
+    console.error('POST /api/admin/school-years/:id/calendar/public-holidays :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// POST /api/admin/school-years/:id/calendar/reflag[?apply=true]
+// Re-marque toutes les séances de l'année (ex. après changement de zone)
+router.post('/:id/calendar/reflag', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const year = await loadYear(id)
+    if (!year) return res.status(404).json({ message: 'Année introuvable' })
+    res.json(await reflagSessions(year.start_date, year.end_date, {
+      apply: String(req.query.apply || 'false') === 'true',
+    }))
+  } catch (e) {
+    console.error('POST /api/admin/school-years/:id/calendar/reflag :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// ─── Import iCalendar (.ics) ─────────────────────────────────────
+// Fichier officiel d'une zone (education.gouv.fr) ou tout autre agenda.
+// Chaque VEVENT touchant l'année est classé d'après son titre : vacances
+// (« Vacances… », « Pont… »), férié (« …férié… »), sinon ignoré (ex.
+// « Rentrée scolaire des élèves »). Les zones viennent du texte (« Zone B »,
+// « Zones A, B et C ») ou du paramètre `zone` ; un événement qui ne couvre
+// pas la zone demandée est ignoré. Un événement commun aux trois zones est
+// enregistré sans zone, un événement de plusieurs zones (sans `zone`
+// demandée) une fois par zone.
+
+const ICS_ZONES = ['A', 'B', 'C']
+const ICS_ZONES_RE = /\bzones?\s+([A-C](?:\s*(?:,|&|\/|\bet\b)\s*(?:zones?\s+)?[A-C])*)\b/gi
+
+function classifyIcsEvent(ev) {
+  if (/\bvacances\b|\bpont\b/i.test(ev.summary)) return 'vacation'
+  if (/f[ée]ri[ée]/i.test(ev.summary)) return 'holiday'
+  return null
+}
+
+// Zones citées par l'événement, [] si aucune
+function icsZones(ev) {
+  const zones = new Set()
+  for (const m of `${ev.summary} ${ev.location} ${ev.description}`.matchAll(ICS_ZONES_RE)) {
+    for (const z of m[1].replace(/zones?/gi, '').match(/\b[A-C]\b/gi) || []) zones.add(z.toUpperCase())
+  }
+  return [...zones].sort()
+}
+
+// Périodes proposées : { uid, label, kind, start_date, end_date, zone,
+// status: 'new' | 'exists' | 'ignored', reason? }
+async function icsPeriods(events, year, zone) {
+  const periods = events
+    .filter((ev) => inYear(ev, year) || (!ev.has_end && ev.start_date >= year.start_date && ev.start_date <= year.end_date))
+    .flatMap((ev) => {
+      const kind = classifyIcsEvent(ev)
+      const evZones = icsZones(ev)
+      const national = evZones.length === 0 || ICS_ZONES.every((z) => evZones.includes(z))
+      // Vacances d'été sans date de fin : jusqu'à la fin de l'année scolaire
+      const end = !ev.has_end && kind === 'vacation' ? year.end_date : ev.end_date
+      const p = {
+        uid: ev.uid,
+        label: ev.summary.replace(/\s*[-–]\s*zones?\s+[A-C]\b.*$/i, '').trim().slice(0, 100) || 'Sans titre',
+        kind,
+        start_date: ev.start_date < year.start_date ? year.start_date : ev.start_date,
+        end_date: end > year.end_date ? year.end_date : end,
+        zone: null,
+        status: 'new',
+      }
+      if (!kind) return [{ ...p, zone: evZones.join(',') || zone, status: 'ignored', reason: 'Ni vacances ni férié' }]
+      if (zone && evZones.length && !evZones.includes(zone)) {
+        return [{ ...p, zone: evZones.join(','), status: 'ignored', reason: `Zone ${evZones.join(', ')}` }]
+      }
+      if (evZones.length > 1 && !national) {
+        return zone ? [{ ...p, zone }] : evZones.map((z) => ({ ...p, zone: z }))
+      }
+      if (evZones.length === 1) return [{ ...p, zone: evZones[0] }]
+      // Sans zone dans le fichier, celle demandée (fichier d'une zone) ;
+      // commun aux trois zones : pour toutes
+      return [{ ...p, zone: evZones.length ? null : zone }]
+    })
+    .sort((a, b) => a.start_date.localeCompare(b.start_date))
+
+  const candidates = periods.filter((p) => p.status === 'new')
+  if (candidates.length) {
+    const { rows } = await pool.query(
+      `SELECT p.i
+       FROM unnest($1::text[], $2::date[], $3::date[], $4::text[]) WITH ORDINALITY AS p(kind, start_date, end_date, zone, i)
+       WHERE EXISTS (
+         SELECT 1 FROM school_calendar sc
+         WHERE sc.kind = p.kind AND sc.start_date = p.start_date AND sc.end_date = p.end_date
+           AND sc.zone IS NOT DISTINCT FROM p.zone
+       )`,
+      [
+        candidates.map((p) => p.kind),
+        candidates.map((p) => p.start_date),
+        candidates.map((p) => p.end_date),
+        candidates.map((p) => p.zone),
+      ],
+    )
+    for (const r of rows) candidates[Number(r.i) - 1].status = 'exists'
+  }
+  return periods
+}
+
+// POST /api/admin/school-years/:id/calendar/import-ics[?zone=B][&apply=true][&reflag=true]
+// Corps : le fichier brut (Content-Type text/calendar) ou { ics, zone? }.
+// Par défaut, aperçu : périodes lues et séances qu'elles feraient passer
+// en vacances / férié. ?apply=true les ajoute au calendrier (source 'ics'),
+// ?reflag=true re-marque en plus les séances existantes.
+router.post(
+  '/:id/calendar/import-ics',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id)
+      if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+      const year = await loadYear(id)
+      if (!year) return res.status(404).json({ message: 'Année introuvable' })
+
+      const text = typeof req.body === 'string' ? req.body : req.body?.ics
+      if (!text || typeof text !== 'string') return res.status(400).json({ message: 'Fichier .ics requis' })
+      const rawZone = req.query.zone ?? (typeof req.body === 'object' ? req.body?.zone : null)
+      const zone = rawZone == null || rawZone === '' ? null : String(rawZone).trim().toUpperCase()
+      if (zone !== null && !/^[A-Z]{1,10}$/.test(zone)) return res.status(400).json({ message: 'zone invalide' })
+
+      const parsed = parseIcs(text)
+      if (parsed.error) return res.status(400).json({ message: parsed.error })
+
+      const periods = await icsPeriods(parsed.events, year, zone)
+      const toAdd = periods.filter((p) => p.status === 'new')
+      const counts = await countSessionsToFlag(toAdd)
+      toAdd.forEach((p, i) => Object.assign(p, counts[i]))
+
+      const apply = String(req.query.apply || 'false') === 'true'
+      let reflag = null
+      if (apply && toAdd.length) {
+        await pool.query(
+          `INSERT INTO school_calendar (kind, label, start_date, end_date, zone, source)
+           SELECT kind, label, start_date, end_date, zone, 'ics'
+           FROM unnest($1::text[], $2::text[], $3::date[], $4::date[], $5::text[])
+             AS t(kind, label, start_date, end_date, zone)`,
+          [
+            toAdd.map((p) => p.kind),
+            toAdd.map((p) => p.label),
+            toAdd.map((p) => p.start_date),
+            toAdd.map((p) => p.end_date),
+            toAdd.map((p) => p.zone),
+          ],
+        )
+        reflag = await reflagSessions(year.start_date, year.end_date, {
+          apply: String(req.query.reflag || 'false') === 'true',
+        })
+      }
+
+      res.json({
+        applied: apply,
+        events: parsed.events.length,
+        added: apply ? toAdd.length : 0,
+        sessions: toAdd.reduce((n, p) => n + p.sessions, 0),
+        conflicts: toAdd.reduce((n, p) => n + p.conflicts, 0),
+        periods,
+        reflag,
+      })
+    } catch (e) {
+      console.error('POST /api/admin/school-years/:id/calendar/import-ics :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
+  },
+)
+
+module.exports = router
@@ -45,9 +45,38 @@ const express = require('express')
 const helmet = require('helmet')
 const rateLimit = require('express-rate-limit')
 const jwt = require('jsonwebtoken')
+const crypto = require('crypto')
 const webpush = require('web-push')
 const cron = require('node-cron')
 const handleInscription = require('./routes/inscription')
+const parentPortal  = require('./routes/parent')
+const {
+  sendPasswordResetEmail,
+  sendParentWelcomeEmail,
+  sendAbsenceAlertsEmail,
+  sendFamilyAbsenceEmail,
+} = require('./mailer')
+const totp = require('./totp')
+const { createJustification, documentPath } = require('./justifications')
+const { generateAttendanceSheetPDF, generateAttendanceCertificatePDF } = require('./pdfGenerator')
+const { toCsv, toXlsx } = require('./spreadsheet')
+const { attachRealtime, publish } = require('./realtime')
+const {
+  CALENDAR_ZONE_DEFAULT,
+  calendarDaySql,
+  dayStatus,
+  insertSessions,
+  initSchoolCalendar,
+} = require('./calendar')
+const {
+  normalizeTime,
+  normalizeSlots,
+  loadClassSlots,
+  slotSessions,
+  replaceClassSlots,
+  removeStaleSessions,
+  initClassSlots,
+} = require('./classSlots')
 const schoolYears   = require('./routes/schoolYears')
 const enrollments   = require('./routes/enrollments')
 
@@ -200,15 +229,60 @@ app.get('/__db', async (_req, res) => {
 // Middlewares d'authentification et d'autorisation
 // ─────────────────────────────────────────────────────────────
 
-function authenticateToken(req, res, next) {
+// Vérifie le JWT, puis que sa session (sid) n'a pas été révoquée et que
+// le compte est toujours actif : un logout ou une désactivation coupe
+// l'accès immédiatement, même avec un token non expiré.
+// Renvoie { user } ou { status, message? } ; user.must_change_password
+// reflète l'état courant du compte, pas celui du login.
+async function verifyAccessToken(token) {
+  let user
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET)
+  } catch {
+    return { status: 403 }
+  }
+  if (!Number.isInteger(user.sid)) return { status: 401, message: 'Session invalide' }
+  const { rows } = await pool.query(
+    `SELECT u.is_active, u.must_change_password, s.revoked_at
+     FROM users u
+     JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [user.id, user.sid],
+  )
+  if (!rows.length || rows[0].revoked_at) return { status: 401, message: 'Session révoquée' }
+  if (!rows[0].is_active) return { status: 403, message: 'Compte désactivé' }
+  return { user: { ...user, must_change_password: rows[0].must_change_password } }
+}
+
+// Routes encore accessibles avec un mot de passe provisoire (après
+// création du compte ou réinitialisation par un admin)
+const PASSWORD_CHANGE_ROUTES = new Set(['/change-password', '/api/me', '/logout-all'])
+
+const PASSWORD_CHANGE_REQUIRED = {
+  message: 'Changement de mot de passe requis',
+  must_change_password: true,
+}
+
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization']
   const token = authHeader && authHeader.split(' ')[1]
   if (!token) return res.sendStatus(401)
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403)
-    req.user = user
+  try {
+    const result = await verifyAccessToken(token)
+    if (!result.user) {
+      return result.message
+        ? res.status(result.status).json({ message: result.message })
+        : res.sendStatus(result.status)
+    }
+    if (result.user.must_change_password && !PASSWORD_CHANGE_ROUTES.has(req.originalUrl.split('?')[0])) {
+      return res.status(403).json(PASSWORD_CHANGE_REQUIRED)
+    }
+    req.user = result.user
     next()
-  })
+  } catch (e) {
+    console.error('authenticateToken', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
 }
 
 function authorizeRoles(...roles) {
@@ -218,76 +292,103 @@ function authorizeRoles(...roles) {
   }
 }
 
-// Vérifie que l'utilisateur connecté a accès à la classe demandée
-// (propriétaire ou co-prof). Les admins passent toujours.
-async function ensureClassAccess(req, res, next) {
-  try {
-    if (req.user?.role === 'admin') return next()
+// Niveaux d'accès à une classe : viewer (lecture seule), editor (pointage
+// et statut des séances), owner (élèves, planning). Le propriétaire
+// historique (classes.user_id) est toujours owner.
+const CLASS_ROLE_RANK = { viewer: 1, editor: 2, owner: 3 }
+
+// Renvoie le rôle de l'utilisateur sur la classe, ou null s'il n'y est pas lié.
+async function getClassRole(classId, userId) {
+  const { rows } = await pool.query(
+    `SELECT CASE WHEN c.user_id = $2 THEN 'owner' ELSE cu.role END AS role
+     FROM classes c
+     LEFT JOIN class_users cu ON cu.class_id = c.id AND cu.user_id = $2
+     WHERE c.id = $1 AND (c.user_id = $2 OR cu.user_id IS NOT NULL)
+     LIMIT 1`,
+    [classId, userId],
+  )
+  return rows.length ? rows[0].role : null
+}
 
-    const classId = Number(
-      req.params.classId ?? req.params.id ?? req.body.class_id ?? req.query.class_id,
-    )
-    if (!Number.isInteger(classId)) {
-      return res.status(400).json({ message: 'classId invalide' })
-    }
+// Vérifie que l'utilisateur connecté a au moins le niveau `minRole` sur la
+// classe demandée. Les admins passent toujours. Le rôle effectif est
+// exposé dans req.classRole.
+function ensureClassAccess(minRole = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      if (req.user?.role === 'admin') {
+        req.classRole = 'owner'
+        return next()
+      }
 
-    const { rows } = await pool.query(
-      `SELECT 1
-       FROM classes c
-       LEFT JOIN class_users cu ON cu.class_id = c.id AND cu.user_id = $2
-       WHERE c.id = $1 AND (c.user_id = $2 OR cu.user_id IS NOT NULL)
-       LIMIT 1`,
-      [classId, req.user.id],
-    )
-    if (!rows.length) return res.status(403).json({ message: 'Accès refusé à cette classe' })
-    next()
-  } catch (e) {
-    console.error('ensureClassAccess', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+      const classId = Number(
+        req.params.classId ?? req.params.id ?? req.body?.class_id ?? req.query.class_id,
+      )
+      if (!Number.isInteger(classId)) {
+        return res.status(400).json({ message: 'classId invalide' })
+      }
+
+      const role = await getClassRole(classId, req.user.id)
+      if (!role) return res.status(403).json({ message: 'Accès refusé à cette classe' })
+      if (CLASS_ROLE_RANK[role] < CLASS_ROLE_RANK[minRole]) {
+        return res.status(403).json({ message: 'Droits insuffisants sur cette classe', role })
+      }
+      req.classRole = role
+      next()
+    } catch (e) {
+      console.error('ensureClassAccess', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
   }
 }
 
 // Résout la classe d'une séance puis délègue à ensureClassAccess.
-async function ensureSessionAccess(req, res, next) {
-  try {
-    if (req.user?.role === 'admin') return next()
+function ensureSessionAccess(minRole = 'viewer') {
+  const checkClass = ensureClassAccess(minRole)
+  return async (req, res, next) => {
+    try {
+      if (req.user?.role === 'admin') return checkClass(req, res, next)
 
-    const sessionId = Number(req.params.id ?? req.body.session_id ?? req.query.session_id)
-    if (!Number.isInteger(sessionId)) {
-      return res.status(400).json({ message: 'sessionId invalide' })
-    }
+      const sessionId = Number(req.params.id ?? req.body?.session_id ?? req.query.session_id)
+      if (!Number.isInteger(sessionId)) {
+        return res.status(400).json({ message: 'sessionId invalide' })
+      }
 
-    const { rows } = await pool.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId])
-    if (!rows.length) return res.status(404).json({ message: 'Séance introuvable' })
+      const { rows } = await pool.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId])
+      if (!rows.length) return res.status(404).json({ message: 'Séance introuvable' })
 
-    // On injecte le classId pour que ensureClassAccess puisse le lire
-    // sans écraser req.params.id (qui contient le sessionId).
-    req.params.classId = rows[0].class_id
-    return ensureClassAccess(req, res, next)
-  } catch (e) {
-    console.error('ensureSessionAccess', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+      // On injecte le classId pour que ensureClassAccess puisse le lire
+      // sans écraser req.params.id (qui contient le sessionId).
+      req.params.classId = rows[0].class_id
+      return checkClass(req, res, next)
+    } catch (e) {
+      console.error('ensureSessionAccess', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
   }
 }
 
 // Résout la classe d'un élève puis délègue à ensureClassAccess.
-async function ensureStudentClassAccess(req, res, next) {
-  try {
-    if (req.user?.role === 'admin') return next()
+function ensureStudentClassAccess(minRole = 'viewer') {
+  const checkClass = ensureClassAccess(minRole)
+  return async (req, res, next) => {
+    try {
+      if (req.user?.role === 'admin') return checkClass(req, res, next)
 
-    const studentId = Number(req.params.id)
-    if (!Number.isInteger(studentId)) {
-      return res.status(400).json({ message: 'studentId invalide' })
-    }
+      const studentId = Number(req.params.id)
+      if (!Number.isInteger(studentId)) {
+        return res.status(400).json({ message: 'studentId invalide' })
+      }
 
-    const { rows } = await pool.query('SELECT class_id FROM students WHERE id = $1', [studentId])
-    if (!rows.length) return res.status(404).json({ message: 'Élève introuvable' })
+      const { rows } = await pool.query('SELECT class_id FROM students WHERE id = $1', [studentId])
+      if (!rows.length) return res.status(404).json({ message: 'Élève introuvable' })
 
-    req.params.classId = String(rows[0].class_id)
-    return ensureClassAccess(req, res, next)
-  } catch (e) {
-    console.error('ensureStudentClassAccess', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+      req.params.classId = String(rows[0].class_id)
+      return checkClass(req, res, next)
+    } catch (e) {
+      console.error('ensureStudentClassAccess', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
   }
 }
 
@@ -354,15 +455,62 @@ function enumerateDatesByWeekday(startUtc, endUtc, isoDow) {
   return out
 }
 
+// Génère les séances d'une classe entre start et end pour tous ses
+// créneaux, selon leur récurrence ; `isoWeekday` (jour propre d'un élève)
+// s'y ajoute, chaque semaine et sans horaire, s'il ne correspond à aucun
+// créneau
+async function ensureClassSessions(classId, start, end, isoWeekday = null) {
+  const slots = await loadClassSlots(classId)
+  const sessions = slotSessions(slots, ymdUTC(start), ymdUTC(end))
+  if (isoWeekday && !slots.some((slot) => slot.weekday === isoWeekday)) {
+    sessions.push(...enumerateDatesByWeekday(start, end, isoWeekday))
+  }
+  await insertSessions(classId, sessions)
+}
+
 async function ensureSessionsForWeekday(classId, isoWeekday, startYear = schoolStartYear()) {
   const start = utcNoon(startYear, 8, 1)
   const end = utcNoon(startYear + 1, 6, 14)
-  const dates = enumerateDatesByWeekday(start, end, isoWeekday)
+  await ensureClassSessions(classId, start, end, isoWeekday)
+}
+
+// Ajoute (ou met à jour) le créneau d'un jour sans toucher aux autres :
+// routes legacy à jour unique. Heures facultatives, conservées si absentes.
+async function upsertClassSlot(classId, isoWeekday, { start_time, end_time, room } = {}) {
+  const slots = await loadClassSlots(classId)
+  const current = slots.find((slot) => slot.weekday === isoWeekday) || {}
+  // undefined : inchangé ; null ou '' : effacé ; false : invalide
+  const time = (v, cur) => (v === undefined ? cur ?? null : v === null || v === '' ? null : normalizeTime(v) || false)
+  const next = {
+    ...current,
+    weekday: isoWeekday,
+    start_time: time(start_time, current.start_time),
+    end_time: time(end_time, current.end_time),
+    room: room !== undefined ? (String(room ?? '').trim().slice(0, 100) || null) : current.room ?? null,
+  }
+  if (next.start_time === false || next.end_time === false ||
+      (next.start_time == null) !== (next.end_time == null) ||
+      (next.start_time && next.start_time >= next.end_time)) {
+    return { error: 'start_time et end_time invalides (HH:MM, début avant fin)' }
+  }
+  await replaceClassSlots(classId, [...slots.filter((slot) => slot.weekday !== isoWeekday), next])
+  return { slot: next }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Paramètres applicatifs (table app_settings, valeurs JSON)
+// ─────────────────────────────────────────────────────────────
+async function getSetting(key, fallback) {
+  const { rows } = await pool.query('SELECT value FROM app_settings WHERE key = $1', [key])
+  return rows.length ? rows[0].value : fallback
+}
+
+async function setSetting(key, value) {
   await pool.query(
-    `INSERT INTO sessions (class_id, date)
-     SELECT $1, unnest($2::date[])
-     ON CONFLICT (class_id, date) DO NOTHING`,
-    [classId, dates],
+    `INSERT INTO app_settings (key, value, updated_at)
+     VALUES ($1, $2::jsonb, NOW())
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+    [key, JSON.stringify(value)],
   )
 }
 
@@ -379,6 +527,132 @@ const loginLimiter = rateLimit({
   message: { message: 'Trop de tentatives de connexion, réessayez dans 15 minutes.' },
 })
 
+// Le token d'accès est court ; la session est prolongée via /refresh avec
+// un refresh token à usage unique « <sessionId>.<secret> ». Seul le hash du
+// secret est stocké. Présenter l'avant-dernier secret (déjà utilisé) signe
+// un vol de token : la session entière est alors révoquée.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const MIN_PASSWORD_LENGTH = 8
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Trop de renouvellements de session, réessayez dans 15 minutes.' },
+})
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex')
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sid, secret] = String(refreshToken || '').split('.')
+  const id = Number(sid)
+  if (!Number.isInteger(id) || !secret) return null
+  return { id, secret }
+}
+
+function issueTokens(user, sessionId, secret) {
+  const token = jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  )
+  const { exp } = jwt.decode(token)
+  return {
+    token,
+    refresh_token: `${sessionId}.${secret}`,
+    expires_in: exp - Math.floor(Date.now() / 1000),
+  }
+}
+
+async function openSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('base64url')
+  const { rows } = await pool.query(
+    `INSERT INTO auth_sessions (user_id, refresh_hash, expires_at, user_agent)
+     VALUES ($1, $2, NOW() + make_interval(days => $3), $4)
+     RETURNING id`,
+    [user.id, hashToken(secret), REFRESH_TOKEN_TTL_DAYS, String(req.headers['user-agent'] || '').slice(0, 255) || null],
+  )
+  return issueTokens(user, rows[0].id, secret)
+}
+
+async function revokeUserSessions(userId) {
+  const { rowCount } = await pool.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId],
+  )
+  return rowCount
+}
+
+function loginPayload(user, tokens) {
+  return {
+    ...tokens,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      must_change_password: user.must_change_password,
+    },
+  }
+}
+
+// ─── Double authentification (TOTP) ──────────────────────────
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EMM Pointage'
+
+function signMfaToken(userId, purpose) {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, { expiresIn: '5m' })
+}
+
+function verifyMfaToken(token, purpose) {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET)
+    return payload.purpose === purpose ? payload.id : null
+  } catch {
+    return null
+  }
+}
+
+// Génère un nouveau secret (non actif tant qu'un code n'a pas été validé)
+async function startTotpEnrollment(userId) {
+  const { rows } = await pool.query('SELECT username, totp_enabled FROM users WHERE id = $1', [userId])
+  if (!rows.length) return { status: 404, message: 'Utilisateur introuvable' }
+  if (rows[0].totp_enabled) return { status: 409, message: 'Double authentification déjà activée' }
+
+  const secret = totp.generateSecret()
+  await pool.query('UPDATE users SET totp_secret = $1 WHERE id = $2', [secret, userId])
+  return { secret, otpauth_uri: totp.otpauthUri(secret, rows[0].username, TOTP_ISSUER) }
+}
+
+// Active le TOTP si le code correspond au secret en attente, et renvoie
+// les codes de secours (en clair une seule fois, seuls les hash sont gardés).
+async function confirmTotpEnrollment(userId, code) {
+  const { rows } = await pool.query(
+    'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+    [userId],
+  )
+  if (!rows.length || !rows[0].totp_secret) return { status: 400, message: 'Aucune activation en cours' }
+  if (rows[0].totp_enabled) return { status: 409, message: 'Double authentification déjà activée' }
+
+  const step = totp.verifyTotp(rows[0].totp_secret, code)
+  if (step === null) return { status: 401, message: 'Code invalide' }
+
+  const recoveryCodes = totp.generateRecoveryCodes()
+  await pool.query(
+    'UPDATE users SET totp_enabled = TRUE, totp_last_step = $1 WHERE id = $2',
+    [step, userId],
+  )
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId])
+  await pool.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, recoveryCodes.map(hashToken)],
+  )
+  return { recovery_codes: recoveryCodes }
+}
+
 app.post('/login', loginLimiter, async (req, res) => {
   try {
     const { username, password } = req.body || {}
@@ -387,7 +661,7 @@ app.post('/login', loginLimiter, async (req, res) => {
     }
 
     const { rows } = await pool.query(
-      `SELECT id, username, role, password
+      `SELECT id, username, role, password, is_active, must_change_password, totp_enabled
        FROM public.users
        WHERE lower(username) = lower($1)
        LIMIT 1`,
@@ -402,14 +676,21 @@ app.post('/login', loginLimiter, async (req, res) => {
     if (!ok) {
       return res.status(401).json({ message: 'Mot de passe incorrect' })
     }
+    if (!user.is_active) {
+      return res.status(403).json({ message: 'Compte désactivé' })
+    }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' },
-    )
+    // Deuxième facteur : le mot de passe seul ne donne qu'un jeton
+    // intermédiaire, échangé ensuite sur /login/totp.
+    if (user.totp_enabled) {
+      return res.json({ mfa_required: true, mfa_token: signMfaToken(user.id, 'mfa') })
+    }
+    if (user.role === 'admin' && await getSetting('require_admin_totp', false)) {
+      return res.json({ mfa_enrollment_required: true, mfa_token: signMfaToken(user.id, 'mfa_enroll') })
+    }
 
-    return res.json({ token, user: { id: user.id, username: user.username, role: user.role } })
+    const tokens = await openSession(user, req)
+    return res.json(loginPayload(user, tokens))
   } catch (err) {
     console.error('POST /login :', err)
     if (DEV) return res.status(500).json({ message: 'Erreur serveur', code: err.code, detail: err.message })
@@ -417,944 +698,3653 @@ app.post('/login', loginLimiter, async (req, res) => {
   }
 })
 
-// Renvoie le profil de l'utilisateur connecté (appelé au bootstrap côté client)
-app.get('/api/me', authenticateToken, async (req, res) => {
+// Deuxième étape de connexion : code TOTP ou code de secours
+app.post('/login/totp', loginLimiter, async (req, res) => {
   try {
+    const { mfa_token, code, recovery_code } = req.body || {}
+    const userId = verifyMfaToken(mfa_token, 'mfa')
+    if (!userId) return res.status(401).json({ message: 'Jeton de connexion expiré, recommencez' })
+    if (!code && !recovery_code) return res.status(400).json({ message: 'Code requis' })
+
     const { rows } = await pool.query(
-      'SELECT id, username, role FROM users WHERE id = $1',
-      [req.user.id],
+      `SELECT id, username, role, is_active, must_change_password,
+              totp_enabled, totp_secret, totp_last_step
+       FROM users WHERE id = $1`,
+      [userId],
     )
-    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
-    res.json(rows[0])
+    const user = rows[0]
+    if (!user || !user.is_active) return res.status(403).json({ message: 'Compte désactivé' })
+    if (!user.totp_enabled) return res.status(400).json({ message: 'Double authentification non activée' })
+
+    if (code) {
+      const step = totp.verifyTotp(user.totp_secret, code)
+      // Un code déjà utilisé (même pas de 30 s) est refusé : anti-rejeu
+      if (step === null || (user.totp_last_step !== null && step <= Number(user.totp_last_step))) {
+        return res.status(401).json({ message: 'Code invalide' })
+      }
+      await pool.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, user.id])
+    } else {
+      const normalized = String(recovery_code).trim().toLowerCase()
+      const { rowCount } = await pool.query(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+        [user.id, hashToken(normalized)],
+      )
+      if (rowCount === 0) return res.status(401).json({ message: 'Code de secours invalide' })
+    }
+
+    const tokens = await openSession(user, req)
+    return res.json(loginPayload(user, tokens))
   } catch (e) {
-    console.error('GET /api/me :', e)
+    console.error('POST /login/totp :', e)
     res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-// ─────────────────────────────────────────────────────────────
-// ADMIN
-// ─────────────────────────────────────────────────────────────
-const admin = express.Router()
-admin.use(authenticateToken, authorizeRoles('admin'))
-
-admin.get('/profs', async (_req, res) => {
+// Enrôlement imposé à la connexion (admin sans TOTP alors qu'il est requis)
+app.post('/login/totp/setup', loginLimiter, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      "SELECT id, username FROM users WHERE role = 'prof' ORDER BY username ASC",
-    )
-    res.json(rows)
+    const userId = verifyMfaToken(req.body?.mfa_token, 'mfa_enroll')
+    if (!userId) return res.status(401).json({ message: 'Jeton de connexion expiré, recommencez' })
+    const result = await startTotpEnrollment(userId)
+    if (result.status) return res.status(result.status).json({ message: result.message })
+    res.json(result)
   } catch (e) {
-    console.error('GET /api/admin/profs :', e)
-    res.status(500).json({ message: 'Erreur chargement profs' })
+    console.error('POST /login/totp/setup :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.get('/stats', async (_req, res) => {
+app.post('/login/totp/enable', loginLimiter, async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      SELECT
-        (SELECT COUNT(*) FROM users)    AS users,
-        (SELECT COUNT(*) FROM students) AS students,
-        (SELECT COUNT(*) FROM classes)  AS classes,
-        (SELECT COUNT(*) FROM sessions) AS sessions
-    `)
-    res.json(rows[0])
-  } catch (e) {
-    console.error('GET /api/admin/stats :', e)
-    res.status(500).json({ message: 'Erreur stats' })
-  }
-})
+    const userId = verifyMfaToken(req.body?.mfa_token, 'mfa_enroll')
+    if (!userId) return res.status(401).json({ message: 'Jeton de connexion expiré, recommencez' })
+    const result = await confirmTotpEnrollment(userId, req.body?.code)
+    if (result.status) return res.status(result.status).json({ message: result.message })
 
-admin.get('/attendance-rate', async (_req, res) => {
-  try {
-    const { rows } = await pool.query(`
-      SELECT c.id, c.nom AS name,
-             COUNT(DISTINCT s.id)::int AS sessions,
-             COUNT(a.*)::int AS marked,
-             SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END)::int AS presents,
-             ROUND(
-               CASE WHEN COUNT(a.*) = 0 THEN 0
-                    ELSE 100.0 * SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) / COUNT(a.*)
-               END, 1
-             ) AS rate
-      FROM classes c
-      LEFT JOIN sessions s ON s.class_id = c.id
-        AND NOT EXISTS (
-          SELECT 1 FROM periodes_exclues pe
-          WHERE s.date BETWEEN pe.date_debut AND pe.date_fin
-        )
-      LEFT JOIN attendances a ON a.session_id = s.id
-      GROUP BY c.id, c.nom
-      ORDER BY rate ASC
-    `)
-    res.json(rows)
+    const { rows } = await pool.query(
+      'SELECT id, username, role, is_active, must_change_password FROM users WHERE id = $1',
+      [userId],
+    )
+    if (!rows[0]?.is_active) return res.status(403).json({ message: 'Compte désactivé' })
+    const tokens = await openSession(rows[0], req)
+    res.json({ ...loginPayload(rows[0], tokens), recovery_codes: result.recovery_codes })
   } catch (e) {
-    console.error('GET /api/admin/attendance-rate :', e)
-    res.status(500).json({ message: 'Erreur stats présence' })
+    console.error('POST /login/totp/enable :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.get('/attendance-by-month', async (_req, res) => {
+// Enrôlement volontaire par un utilisateur connecté
+app.post('/api/me/totp/setup', authenticateToken, async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      SELECT c.id, c.nom AS name,
-             EXTRACT(YEAR  FROM s.date)::int AS year,
-             EXTRACT(MONTH FROM s.date)::int AS month,
-             COUNT(a.*)::int AS marked,
-             SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END)::int AS presents,
-             ROUND(
-               CASE WHEN COUNT(a.*) = 0 THEN 0
-                    ELSE 100.0 * SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) / COUNT(a.*)
-               END, 1
-             ) AS rate
-      FROM classes c
-      JOIN sessions s ON s.class_id = c.id
-        AND s.date IS NOT NULL
-        AND NOT EXISTS (
-          SELECT 1 FROM periodes_exclues pe
-          WHERE s.date BETWEEN pe.date_debut AND pe.date_fin
-        )
-      JOIN attendances a ON a.session_id = s.id
-      GROUP BY c.id, c.nom, year, month
-      ORDER BY c.id, year, month
-    `)
-    res.json(rows)
+    const result = await startTotpEnrollment(req.user.id)
+    if (result.status) return res.status(result.status).json({ message: result.message })
+    res.json(result)
   } catch (e) {
-    console.error('GET /api/admin/attendance-by-month :', e)
-    res.status(500).json({ message: 'Erreur stats mensuelles' })
+    console.error('POST /api/me/totp/setup :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.get('/classes', async (_req, res) => {
+app.post('/api/me/totp/enable', authenticateToken, async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      SELECT c.id,
-             c.nom         AS name,
-             c.description,
-             c.user_id     AS owner_id,
-             u.username    AS owner_username
-      FROM classes c
-      LEFT JOIN users u ON u.id = c.user_id
-      ORDER BY c.nom ASC
-    `)
-    res.json(rows)
+    const result = await confirmTotpEnrollment(req.user.id, req.body?.code)
+    if (result.status) return res.status(result.status).json({ message: result.message })
+    res.json(result)
   } catch (e) {
-    console.error('GET /api/admin/classes :', e)
-    res.status(500).json({ message: 'Erreur chargement classes' })
+    console.error('POST /api/me/totp/enable :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.get('/classes/:id/managers', async (req, res) => {
+app.post('/api/me/totp/disable', authenticateToken, async (req, res) => {
   try {
-    const classId = Number(req.params.id)
-    if (!Number.isInteger(classId)) return res.status(400).json({ message: 'classId invalide' })
-
-    const { rows } = await pool.query(
-      `SELECT u.id, u.username, u.role, TRUE AS is_owner
-       FROM users u
-       JOIN classes c ON c.user_id = u.id
-       WHERE c.id = $1
-       UNION
-       SELECT u.id, u.username, u.role, FALSE AS is_owner
-       FROM users u
-       JOIN class_users cu ON cu.user_id = u.id
-       WHERE cu.class_id = $1
-       ORDER BY is_owner DESC, username ASC`,
-      [classId],
-    )
-    res.json(rows)
+    const { password } = req.body || {}
+    if (!password) return res.status(400).json({ message: 'Mot de passe requis' })
+    if (req.user.role === 'admin' && await getSetting('require_admin_totp', false)) {
+      return res.status(409).json({ message: 'La double authentification est obligatoire pour les admins' })
+    }
+    const { rows } = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id])
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    if (!bcrypt.compareSync(String(password), rows[0].password)) {
+      return res.status(401).json({ message: 'Mot de passe incorrect' })
+    }
+    await clearTotp(req.user.id)
+    res.json({ ok: true })
   } catch (e) {
-    console.error('GET /api/admin/classes/:id/managers :', e)
-    res.status(500).json({ message: 'Erreur chargement gestionnaires' })
+    console.error('POST /api/me/totp/disable :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-async function upsertOwnerLink(classId, ownerId) {
-  if (!ownerId) return
+async function clearTotp(userId) {
   await pool.query(
-    `INSERT INTO class_users (class_id, user_id)
-     VALUES ($1, $2)
-     ON CONFLICT DO NOTHING`,
-    [classId, ownerId],
+    `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL
+     WHERE id = $1`,
+    [userId],
   )
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId])
 }
 
-admin.post('/classes', async (req, res) => {
+// Échange un refresh token contre une nouvelle paire (rotation)
+app.post('/refresh', refreshLimiter, async (req, res) => {
   try {
-    const { name, description, owner_id } = req.body
-    if (!name || !name.trim()) return res.status(400).json({ message: 'Nom requis' })
+    const parsed = parseRefreshToken(req.body?.refresh_token)
+    if (!parsed) return res.status(400).json({ message: 'refresh_token requis' })
 
     const { rows } = await pool.query(
-      `INSERT INTO classes (nom, description, user_id)
-       VALUES ($1, $2, $3)
-       RETURNING id, nom AS name, description, user_id AS owner_id`,
-      [name.trim(), description ?? null, owner_id ?? null],
+      `SELECT s.id, s.refresh_hash, s.previous_hash, s.revoked_at,
+              s.expires_at < NOW() AS expired,
+              u.id AS user_id, u.username, u.role, u.is_active
+       FROM auth_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [parsed.id],
     )
-    await upsertOwnerLink(rows[0].id, owner_id)
-    res.json(rows[0])
+    const session = rows[0]
+    if (!session || session.revoked_at || session.expired) {
+      return res.status(401).json({ message: 'Session expirée' })
+    }
+
+    const presented = hashToken(parsed.secret)
+    if (presented === session.previous_hash) {
+      await pool.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1', [session.id])
+      console.warn('[auth] réutilisation de refresh token — session %d révoquée', session.id)
+      return res.status(401).json({ message: 'Session révoquée' })
+    }
+    if (presented !== session.refresh_hash) {
+      return res.status(401).json({ message: 'Session expirée' })
+    }
+    if (!session.is_active) {
+      return res.status(403).json({ message: 'Compte désactivé' })
+    }
+
+    // La condition sur refresh_hash évite que deux rotations concurrentes
+    // du même token réussissent toutes les deux.
+    const secret = crypto.randomBytes(32).toString('base64url')
+    const { rowCount } = await pool.query(
+      `UPDATE auth_sessions
+         SET previous_hash = refresh_hash,
+             refresh_hash  = $1,
+             last_used_at  = NOW(),
+             expires_at    = NOW() + make_interval(days => $2)
+       WHERE id = $3 AND refresh_hash = $4 AND revoked_at IS NULL`,
+      [hashToken(secret), REFRESH_TOKEN_TTL_DAYS, session.id, presented],
+    )
+    if (rowCount === 0) return res.status(401).json({ message: 'Session expirée' })
+
+    const user = { id: session.user_id, username: session.username, role: session.role }
+    res.json(issueTokens(user, session.id, secret))
   } catch (e) {
-    console.error('POST /api/admin/classes :', e)
-    res.status(500).json({ message: 'Erreur création' })
+    console.error('POST /refresh :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.patch('/classes/:id', async (req, res) => {
+// Ferme la session courante. Accepte le refresh token seul, pour pouvoir
+// se déconnecter même avec un token d'accès expiré.
+app.post('/logout', async (req, res) => {
   try {
-    const { id } = req.params
-    const { name, description, owner_id } = req.body
-    const { rows } = await pool.query(
-      `UPDATE classes
-         SET nom         = COALESCE($1, nom),
-             description = COALESCE($2, description),
-             user_id     = $3
-       WHERE id = $4
-       RETURNING id, nom AS name, description, user_id AS owner_id`,
-      [name ?? null, description ?? null, owner_id ?? null, id],
+    const parsed = parseRefreshToken(req.body?.refresh_token)
+    if (!parsed) return res.status(400).json({ message: 'refresh_token requis' })
+    await pool.query(
+      `UPDATE auth_sessions SET revoked_at = NOW()
+       WHERE id = $1 AND refresh_hash = $2 AND revoked_at IS NULL`,
+      [parsed.id, hashToken(parsed.secret)],
     )
-    if (!rows[0]) return res.status(404).json({ message: 'Classe introuvable' })
-    await upsertOwnerLink(id, owner_id)
-    res.json(rows[0])
+    res.status(204).end()
   } catch (e) {
-    console.error('PATCH /api/admin/classes/:id :', e)
-    res.status(500).json({ message: 'Erreur mise à jour' })
+    console.error('POST /logout :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.delete('/classes/:id', async (req, res) => {
+// « Déconnecter tous les appareils » de l'utilisateur connecté
+app.post('/logout-all', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params
-    const { rowCount } = await pool.query('DELETE FROM classes WHERE id = $1', [id])
-    if (rowCount === 0) return res.status(404).json({ message: 'Classe introuvable' })
-    res.json({ ok: true })
+    const revoked = await revokeUserSessions(req.user.id)
+    res.json({ revoked })
   } catch (e) {
-    console.error('DELETE /api/admin/classes/:id :', e)
-    res.status(500).json({ message: 'Erreur suppression' })
+    console.error('POST /logout-all :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.post('/class-users', async (req, res) => {
+// ─── Mot de passe oublié / changement de mot de passe ─────────
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Trop de demandes de réinitialisation, réessayez dans une heure.' },
+})
+
+// Crée un lien de réinitialisation à usage unique et renvoie son URL.
+// Sert aussi de lien d'activation pour les comptes parents.
+async function createPasswordResetLink(userId, ttlMinutes) {
+  const secret = crypto.randomBytes(32).toString('base64url')
+  await pool.query(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [userId, hashToken(secret), ttlMinutes],
+  )
+  const appUrl = String(process.env.APP_URL || '').replace(/\/$/, '')
+  return `${appUrl}/reset-password?token=${secret}`
+}
+
+// Réponse identique que le compte existe ou non, pour ne pas permettre
+// d'énumérer les usernames. L'email part en arrière-plan.
+app.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  const answer = { message: 'Si ce compte existe, un lien de réinitialisation a été envoyé par email.' }
   try {
-    const { class_id, user_id } = req.body
-    if (!class_id || !user_id) return res.status(400).json({ message: 'Paramètres manquants' })
-    await pool.query(
-      `INSERT INTO class_users (class_id, user_id)
-       VALUES ($1, $2)
-       ON CONFLICT DO NOTHING`,
-      [class_id, user_id],
+    const username = String(req.body?.username || '').trim()
+    if (!username) return res.status(400).json({ message: 'Username requis' })
+
+    const { rows } = await pool.query(
+      `SELECT id, username, email
+       FROM users
+       WHERE lower(username) = lower($1) AND is_active AND email IS NOT NULL
+       LIMIT 1`,
+      [username],
     )
-    res.json({ ok: true })
+    if (rows.length) {
+      const user = rows[0]
+      const resetUrl = await createPasswordResetLink(user.id, PASSWORD_RESET_TTL_MINUTES)
+      sendPasswordResetEmail(user.email, user.username, resetUrl, PASSWORD_RESET_TTL_MINUTES).catch((e) =>
+        console.error('[mailer] échec envoi email réinitialisation :', e.message),
+      )
+    }
+    res.json(answer)
   } catch (e) {
-    console.error('POST /api/admin/class-users :', e)
-    res.status(500).json({ message: 'Erreur liaison' })
+    console.error('POST /forgot-password :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.get('/class-users', async (req, res) => {
+app.post('/reset-password', passwordResetLimiter, async (req, res) => {
   try {
-    const class_id = Number(req.query.class_id)
-    if (!Number.isInteger(class_id)) return res.status(400).json({ message: 'class_id invalide' })
+    const { token, password } = req.body || {}
+    if (!token || !password) return res.status(400).json({ message: 'Token et mot de passe requis' })
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Mot de passe trop court (${MIN_PASSWORD_LENGTH} caractères minimum)` })
+    }
 
+    // Consommation atomique : le lien ne peut servir qu'une fois
     const { rows } = await pool.query(
-      `(
-         SELECT u.id, u.username, u.role, FALSE AS is_owner
-         FROM class_users cu
-         JOIN users u ON u.id = cu.user_id
-         WHERE cu.class_id = $1
-       )
-       UNION
-       (
-         SELECT u.id, u.username, u.role, TRUE AS is_owner
-         FROM classes c
-         JOIN users u ON u.id = c.user_id
-         WHERE c.id = $1 AND c.user_id IS NOT NULL
-       )
-       ORDER BY is_owner DESC, username ASC`,
-      [class_id],
+      `UPDATE password_resets SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token)],
     )
-    res.json(Array.isArray(rows) ? rows : [])
+    if (!rows.length) return res.status(400).json({ message: 'Lien invalide ou expiré' })
+    const userId = rows[0].user_id
+
+    await pool.query(
+      'UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2',
+      [bcrypt.hashSync(String(password), 10), userId],
+    )
+    await pool.query(
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [userId],
+    )
+    await revokeUserSessions(userId)
+    res.json({ message: 'Mot de passe réinitialisé' })
   } catch (e) {
-    console.error('GET /api/admin/class-users :', e)
-    res.status(500).json({ message: 'Erreur chargement gestionnaires' })
+    console.error('POST /reset-password :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-admin.delete('/class-users', async (req, res) => {
+// Changement de mot de passe par l'utilisateur connecté. Les autres
+// appareils sont déconnectés, la session courante est conservée.
+app.post('/change-password', authenticateToken, async (req, res) => {
   try {
-    const { class_id, user_id } = req.body
-    await pool.query('DELETE FROM class_users WHERE class_id = $1 AND user_id = $2', [
-      class_id,
-      user_id,
-    ])
-    res.json({ ok: true })
+    const { old_password, new_password } = req.body || {}
+    if (!old_password || !new_password) {
+      return res.status(400).json({ message: 'Ancien et nouveau mot de passe requis' })
+    }
+    if (String(new_password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Mot de passe trop court (${MIN_PASSWORD_LENGTH} caractères minimum)` })
+    }
+
+    const { rows } = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id])
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    if (!bcrypt.compareSync(String(old_password), rows[0].password)) {
+      return res.status(401).json({ message: 'Ancien mot de passe incorrect' })
+    }
+
+    await pool.query(
+      'UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2',
+      [bcrypt.hashSync(String(new_password), 10), req.user.id],
+    )
+    await pool.query(
+      `UPDATE auth_sessions SET revoked_at = NOW()
+       WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`,
+      [req.user.id, req.user.sid],
+    )
+    res.json({ message: 'Mot de passe modifié' })
   } catch (e) {
-    console.error('DELETE /api/admin/class-users :', e)
-    res.status(500).json({ message: 'Erreur délier' })
+    console.error('POST /change-password :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-// Liste tous les élèves avec leur classe (admin uniquement)
-app.get('/api/admin/students', authenticateToken, authorizeRoles('admin'), async (_req, res) => {
+// Renvoie le profil de l'utilisateur connecté (appelé au bootstrap côté client)
+app.get('/api/me', authenticateToken, async (req, res) => {
   try {
     const { rows } = await pool.query(
-      `SELECT s.id, s.firstname, s.lastname, c.nom AS class_name
-       FROM students s
-       LEFT JOIN classes c ON c.id = s.class_id
-       ORDER BY s.lastname ASC, s.firstname ASC`,
+      'SELECT id, username, role, must_change_password, totp_enabled FROM users WHERE id = $1',
+      [req.user.id],
     )
-    res.json(rows)
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    res.json(rows[0])
   } catch (e) {
-    console.error('GET /api/admin/students :', e)
+    console.error('GET /api/me :', e)
     res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-// Années scolaires (admin uniquement)
-app.use('/api/admin/school-years',  authenticateToken, authorizeRoles('admin'), schoolYears)
-app.use('/api/admin/enrollments',   authenticateToken, authorizeRoles('admin'), enrollments)
+// ─────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────
+const admin = express.Router()
+admin.use(authenticateToken, authorizeRoles('admin'))
 
-// Année courante (tous les utilisateurs authentifiés)
-app.get('/api/current-school-year', authenticateToken, async (_req, res) => {
+admin.get('/profs', async (_req, res) => {
   try {
     const { rows } = await pool.query(
-      `SELECT id, label,
-              to_char(start_date, 'YYYY-MM-DD') AS start_date,
-              to_char(end_date,   'YYYY-MM-DD') AS end_date
-       FROM school_years WHERE is_current = true LIMIT 1`,
+      "SELECT id, username FROM users WHERE role = 'prof' AND is_active ORDER BY username ASC",
     )
-    if (!rows.length) return res.status(404).json({ message: 'Aucune année scolaire active' })
-    res.json(rows[0])
+    res.json(rows)
   } catch (e) {
-    console.error('GET /api/current-school-year :', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+    console.error('GET /api/admin/profs :', e)
+    res.status(500).json({ message: 'Erreur chargement profs' })
   }
 })
 
-// Route publique (pas d'authentification requise)
-app.post('/api/public/inscription', handleInscription)
+// ─── Gestion des comptes (profs et admins) ───────────────────
+const USER_ROLES = new Set(['prof', 'admin', 'parent'])
 
-app.use('/api/admin', admin)
+const USER_COLUMNS = 'id, username, email, role, is_active, must_change_password, totp_enabled'
 
-// ─────────────────────────────────────────────────────────────
-// DOSSIERS — lecture admin
-// ─────────────────────────────────────────────────────────────
-const dossierUploads = require('path').join(__dirname, 'uploads', 'dossiers')
+function validEmail(v) {
+  return /^[^\s@]{1,64}@[^\s@]{1,255}\.[^\s@]{1,64}$/.test(String(v || ''))
+}
 
-// Liste tous les dossiers reçus (admin uniquement)
-app.get('/api/admin/dossiers', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url')
+}
+
+admin.get('/users', async (req, res) => {
   try {
-    const { status } = req.query
+    const { role, active } = req.query
     const params = []
-    const where = status ? `WHERE status = $${params.push(status)}` : ''
+    const where = []
+    if (role) where.push(`role = $${params.push(role)}`)
+    if (active === 'true' || active === 'false') where.push(`is_active = $${params.push(active === 'true')}`)
     const { rows } = await pool.query(
-      `SELECT id, type, nom_eleve, prenom_eleve, submitted_at, status, phone
-       FROM dossiers ${where} ORDER BY submitted_at DESC`,
+      `SELECT ${USER_COLUMNS}
+       FROM users
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY username ASC`,
       params,
     )
     res.json(rows)
   } catch (e) {
-    console.error('GET /api/admin/dossiers :', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+    console.error('GET /api/admin/users :', e)
+    res.status(500).json({ message: 'Erreur chargement utilisateurs' })
   }
 })
 
-// Accepter un dossier : crée l'élève + enrollment
-app.post('/api/admin/dossiers/:id/accept', authenticateToken, authorizeRoles('admin'), async (req, res) => {
-  const id = Number(req.params.id)
-  const { class_id, school_year_id, student_id } = req.body || {}
-  if (!class_id || !school_year_id) {
-    return res.status(400).json({ message: 'class_id et school_year_id requis' })
-  }
+admin.post('/users', async (req, res) => {
   try {
-    const { rows: found } = await pool.query(
-      'SELECT id, nom_eleve, prenom_eleve, status, phone FROM dossiers WHERE id = $1',
-      [id],
-    )
-    if (!found.length) return res.status(404).json({ message: 'Dossier introuvable' })
-    if (found[0].status === 'accepted') return res.status(409).json({ message: 'Dossier déjà accepté' })
-
-    const { nom_eleve, prenom_eleve, phone } = found[0]
-
-    let studentId = student_id ? Number(student_id) : null
-
-    if (!studentId) {
-      const { rows: students } = await pool.query(
-        `INSERT INTO students (firstname, lastname, class_id, phone)
-         VALUES ($1, $2, $3, $4) RETURNING id`,
-        [prenom_eleve, nom_eleve, class_id, phone || null],
-      )
-      studentId = students[0].id
-    } else {
-      await pool.query(
-        'UPDATE students SET class_id = $1 WHERE id = $2',
-        [class_id, studentId],
-      )
+    const { username, password, role, email } = req.body || {}
+    const name = String(username || '').trim()
+    if (!name) return res.status(400).json({ message: 'Username requis' })
+    if (!USER_ROLES.has(role)) return res.status(400).json({ message: 'Rôle invalide' })
+    if (email && !validEmail(email)) return res.status(400).json({ message: 'Email invalide' })
+    if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Mot de passe trop court (${MIN_PASSWORD_LENGTH} caractères minimum)` })
     }
 
-    await pool.query(
-      `INSERT INTO class_enrollments (student_id, class_id, school_year_id)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (student_id, class_id, school_year_id) DO NOTHING`,
-      [studentId, class_id, school_year_id],
+    const { rows: existing } = await pool.query(
+      'SELECT 1 FROM users WHERE lower(username) = lower($1) LIMIT 1',
+      [name],
     )
+    if (existing.length) return res.status(409).json({ message: 'Ce username existe déjà' })
 
-    await pool.query('UPDATE dossiers SET status = $1 WHERE id = $2', ['accepted', id])
-
-    res.json({ success: true, student_id: studentId })
+    // Sans mot de passe fourni, on génère un mot de passe temporaire
+    // renvoyé une seule fois et à changer à la première connexion.
+    const temporary = password ? null : generateTemporaryPassword()
+    const { rows } = await pool.query(
+      `INSERT INTO users (username, password, role, email, is_active, must_change_password)
+       VALUES ($1, $2, $3, $4, TRUE, $5)
+       RETURNING ${USER_COLUMNS}`,
+      [name, bcrypt.hashSync(String(password || temporary), 10), role, email ? String(email).trim() : null, !!temporary],
+    )
+    res.status(201).json(temporary ? { ...rows[0], temporary_password: temporary } : rows[0])
   } catch (e) {
-    console.error('POST /api/admin/dossiers/:id/accept :', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+    console.error('POST /api/admin/users :', e)
+    res.status(500).json({ message: 'Erreur création utilisateur' })
   }
 })
 
-// Téléchargement d'un PDF de dossier (admin uniquement)
-app.get('/api/admin/dossiers/:id/pdf', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+admin.patch('/users/:id', async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      'SELECT pdf_filename, type, nom_eleve, prenom_eleve FROM dossiers WHERE id = $1',
-      [Number(req.params.id)],
-    )
-    if (!rows.length) return res.status(404).json({ message: 'Dossier introuvable' })
-
-    const { pdf_filename, type, prenom_eleve, nom_eleve } = rows[0]
-    const filePath = require('path').join(dossierUploads, pdf_filename)
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const { username, role, email } = req.body || {}
 
-    if (!require('fs').existsSync(filePath)) {
-      return res.status(404).json({ message: 'Fichier PDF introuvable' })
+    const fields = []
+    const values = []
+    if (username !== undefined) {
+      const name = String(username || '').trim()
+      if (!name) return res.status(400).json({ message: 'Username requis' })
+      const { rows: existing } = await pool.query(
+        'SELECT 1 FROM users WHERE lower(username) = lower($1) AND id <> $2 LIMIT 1',
+        [name, id],
+      )
+      if (existing.length) return res.status(409).json({ message: 'Ce username existe déjà' })
+      fields.push(`username = $${values.push(name)}`)
+    }
+    let previousRole = null
+    if (role !== undefined) {
+      if (!USER_ROLES.has(role)) return res.status(400).json({ message: 'Rôle invalide' })
+      if (id === req.user.id && role !== 'admin') {
+        return res.status(409).json({ message: 'Impossible de retirer votre propre rôle admin' })
+      }
+      const { rows: current } = await pool.query('SELECT role FROM users WHERE id = $1', [id])
+      previousRole = current[0]?.role ?? null
+      fields.push(`role = $${values.push(role)}`)
+    }
+    if (email !== undefined) {
+      if (email && !validEmail(email)) return res.status(400).json({ message: 'Email invalide' })
+      fields.push(`email = $${values.push(email ? String(email).trim() : null)}`)
+    }
+    if (fields.length === 0) {
+      return res.status(400).json({ message: 'Aucune donnée à mettre à jour' })
     }
 
-    const safeName = (v) => String(v || '').replace(/[^\wÀ-ɏ\- ]/g, '').trim()
-    const safeFilename = `dossier-${type}-${safeName(prenom_eleve)}-${safeName(nom_eleve)}.pdf`
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}"`)
-    require('fs').createReadStream(filePath).pipe(res)
+    const { rows } = await pool.query(
+      `UPDATE users SET ${fields.join(', ')}
+       WHERE id = $${values.push(id)}
+       RETURNING ${USER_COLUMNS}`,
+      values,
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    // Le rôle est porté par le JWT : on force une reconnexion
+    if (previousRole && previousRole !== rows[0].role) await revokeUserSessions(id)
+    res.json(rows[0])
   } catch (e) {
-    console.error('GET /api/admin/dossiers/:id/pdf :', e)
-    res.status(500).json({ message: 'Erreur serveur' })
+    console.error('PATCH /api/admin/users/:id :', e)
+    res.status(500).json({ message: 'Erreur mise à jour utilisateur' })
   }
 })
 
-// ─────────────────────────────────────────────────────────────
-// CLASSES
-// ─────────────────────────────────────────────────────────────
+async function setUserActive(req, res, active) {
+  const id = Number(req.params.id)
+  if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+  if (!active && id === req.user.id) {
+    return res.status(409).json({ message: 'Impossible de désactiver votre propre compte' })
+  }
+  const { rows } = await pool.query(
+    `UPDATE users SET is_active = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+    [active, id],
+  )
+  if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+  if (!active) await revokeUserSessions(id)
+  res.json(rows[0])
+}
 
-// Route legacy (admin uniquement) conservée pour compatibilité
-app.get('/classes', authenticateToken, authorizeRoles('admin'), async (_req, res) => {
+admin.post('/users/:id/deactivate', async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, nom AS name FROM classes ORDER BY nom ASC')
-    res.json(result.rows)
-  } catch (err) {
-    console.error('GET /classes :', err)
-    res.status(500).json({ message: 'Erreur serveur' })
+    await setUserActive(req, res, false)
+  } catch (e) {
+    console.error('POST /api/admin/users/:id/deactivate :', e)
+    res.status(500).json({ message: 'Erreur désactivation' })
   }
 })
 
-app.get('/my-classes', authenticateToken, authorizeRoles('prof', 'admin'), async (req, res) => {
+admin.post('/users/:id/reactivate', async (req, res) => {
   try {
-    if (req.user.role === 'admin') {
-      const { rows } = await pool.query(
-        'SELECT id, nom AS name, description, user_id AS owner_id FROM classes ORDER BY nom ASC',
-      )
-      return res.json(rows)
+    await setUserActive(req, res, true)
+  } catch (e) {
+    console.error('POST /api/admin/users/:id/reactivate :', e)
+    res.status(500).json({ message: 'Erreur réactivation' })
+  }
+})
+
+// Réinitialise le mot de passe : l'admin en fournit un ou on en génère un
+// temporaire. Dans les deux cas l'utilisateur devra le changer.
+admin.post('/users/:id/reset-password', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const { password } = req.body || {}
+    if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Mot de passe trop court (${MIN_PASSWORD_LENGTH} caractères minimum)` })
     }
+
+    const temporary = password ? null : generateTemporaryPassword()
     const { rows } = await pool.query(
-      `SELECT DISTINCT c.id, c.nom AS name, c.description, c.user_id AS owner_id
-       FROM classes c
-       LEFT JOIN class_users cu ON cu.class_id = c.id
-       WHERE c.user_id = $1 OR cu.user_id = $1
-       ORDER BY c.nom ASC`,
-      [req.user.id],
+      `UPDATE users SET password = $1, must_change_password = TRUE
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`,
+      [bcrypt.hashSync(String(password || temporary), 10), id],
     )
-    res.json(rows)
-  } catch (err) {
-    console.error('GET /my-classes :', err)
-    res.status(500).json({ message: 'Erreur serveur' })
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    await revokeUserSessions(id)
+    res.json(temporary ? { ...rows[0], temporary_password: temporary } : rows[0])
+  } catch (e) {
+    console.error('POST /api/admin/users/:id/reset-password :', e)
+    res.status(500).json({ message: 'Erreur réinitialisation' })
   }
 })
 
-const classesRouter = express.Router()
-
-// Renvoie les classes accessibles à l'utilisateur connecté
-classesRouter.get('/', authenticateToken, async (req, res) => {
+// Déconnecte l'utilisateur de tous ses appareils (token volé, départ…)
+admin.post('/users/:id/revoke-sessions', async (req, res) => {
   try {
-    if (req.user.role === 'admin') {
-      const result = await pool.query('SELECT id, nom AS name FROM classes ORDER BY nom ASC')
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const revoked = await revokeUserSessions(id)
+    res.json({ revoked })
+  } catch (e) {
+    console.error('POST /api/admin/users/:id/revoke-sessions :', e)
+    res.status(500).json({ message: 'Erreur révocation' })
+  }
+})
+
+// Perte du téléphone : l'utilisateur devra réenrôler son TOTP
+admin.post('/users/:id/reset-totp', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    await clearTotp(id)
+    await revokeUserSessions(id)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('POST /api/admin/users/:id/reset-totp :', e)
+    res.status(500).json({ message: 'Erreur réinitialisation TOTP' })
+  }
+})
+
+admin.get('/settings/security', async (_req, res) => {
+  try {
+    res.json({ require_admin_totp: await getSetting('require_admin_totp', false) })
+  } catch (e) {
+    console.error('GET /api/admin/settings/security :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+// Rend la double authentification obligatoire pour tous les admins : ceux
+// qui ne l'ont pas encore devront l'activer à leur prochaine connexion.
+admin.patch('/settings/security', async (req, res) => {
+  try {
+    const { require_admin_totp } = req.body || {}
+    if (typeof require_admin_totp !== 'boolean') {
+      return res.status(400).json({ message: 'require_admin_totp (booléen) requis' })
+    }
+    await setSetting('require_admin_totp', require_admin_totp)
+    res.json({ require_admin_totp })
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/security :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+admin.get('/stats', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM users)    AS users,
+        (SELECT COUNT(*) FROM students) AS students,
+        (SELECT COUNT(*) FROM classes)  AS classes,
+        (SELECT COUNT(*) FROM sessions) AS sessions
+    `)
+    res.json(rows[0])
+  } catch (e) {
+    console.error('GET /api/admin/stats :', e)
+    res.status(500).json({ message: 'Erreur stats' })
+  }
+})
+
+// Un élève en retard ou parti avant la fin a bien assisté à la séance :
+// il compte comme présent dans les taux. Retards et départs anticipés sont
+// détaillés à part (nombre + minutes manquées).
+const ATTENDED_SQL = "a.status IN ('present', 'late', 'left_early')"
+
+// Filtres communs aux statistiques : ?school_year_id (défaut : année
+// courante), ?from / ?to (YYYY-MM-DD), ?class_id (un id ou une liste
+// séparée par des virgules). Renvoie les conditions SQL portant sur les
+// séances `s` et les classes `c`, ou { error }.
+async function statsFilters(query) {
+  const params = []
+  const sessionConds = []
+  const classConds = []
+
+  let yearId = query.school_year_id ? Number(query.school_year_id) : null
+  if (query.school_year_id && !Number.isInteger(yearId)) return { error: 'school_year_id invalide' }
+  if (!yearId) {
+    const { rows } = await pool.query('SELECT id FROM school_years WHERE is_current = true LIMIT 1')
+    yearId = rows[0]?.id ?? null
+  }
+  if (yearId) sessionConds.push(`s.school_year_id = $${params.push(yearId)}`)
+
+  for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+    if (!query[key]) continue
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(query[key]))) return { error: `${key} invalide (YYYY-MM-DD)` }
+    sessionConds.push(`s.date ${op} $${params.push(query[key])}::date`)
+  }
+
+  if (query.class_id) {
+    const ids = String(query.class_id).split(',').map(Number)
+    if (ids.some((id) => !Number.isInteger(id))) return { error: 'class_id invalide' }
+    classConds.push(`c.id = ANY($${params.push(ids)}::int[])`)
+  }
+
+  sessionConds.push(`NOT ${calendarDaySql('s.date')}`)
+  return { params, sessionConds, classConds }
+}
+
+// ?group_by : par classe (défaut), par prof ou par jour de la semaine de la
+// séance (ISO : 1 = lundi). Par prof, une classe compte pour chacun des
+// utilisateurs qui lui sont liés (propriétaire et class_users) : les totaux
+// par prof ne s'additionnent donc pas.
+const STATS_GROUPS = {
+  class:   { select: 'c.id, c.nom AS name', group: 'c.id, c.nom', join: '' },
+  prof:    {
+    select: 'u.id AS prof_id, u.username AS prof',
+    group: 'u.id, u.username',
+    join: `
+      CROSS JOIN LATERAL (
+        SELECT c.user_id
+        UNION
+        SELECT cu.user_id FROM class_users cu WHERE cu.class_id = c.id
+      ) linked
+      JOIN users u ON u.id = linked.user_id`,
+  },
+  weekday: { select: 'EXTRACT(ISODOW FROM s.date)::int AS weekday', group: 'EXTRACT(ISODOW FROM s.date)', join: '' },
+}
+
+const STATS_COLUMNS = `
+             COUNT(a.*)::int AS marked,
+             SUM(CASE WHEN ${ATTENDED_SQL} THEN 1 ELSE 0 END)::int AS presents,
+             SUM(CASE WHEN a.status = 'late' THEN 1 ELSE 0 END)::int AS lates,
+             SUM(CASE WHEN a.status = 'left_early' THEN 1 ELSE 0 END)::int AS left_early,
+             COALESCE(SUM(a.minutes) FILTER (WHERE a.status IN ('late', 'left_early')), 0)::int AS missed_minutes,
+             ROUND(
+               CASE WHEN COUNT(a.*) = 0 THEN 0
+                    ELSE 100.0 * SUM(CASE WHEN ${ATTENDED_SQL} THEN 1 ELSE 0 END) / COUNT(a.*)
+               END, 1
+             ) AS rate`
+
+admin.get('/attendance-rate', async (req, res) => {
+  try {
+    const groupBy = STATS_GROUPS[req.query.group_by || 'class']
+    if (!groupBy) return res.status(400).json({ message: 'group_by invalide (class, prof ou weekday)' })
+    const f = await statsFilters(req.query)
+    if (f.error) return res.status(400).json({ message: f.error })
+
+    // Par jour de semaine, une classe sans séance n'a pas de ligne
+    const where = [...f.classConds]
+    if (groupBy === STATS_GROUPS.weekday) where.push('s.id IS NOT NULL')
+
+    const { rows } = await pool.query(`
+      SELECT ${groupBy.select},
+             COUNT(DISTINCT s.id)::int AS sessions,${STATS_COLUMNS}
+      FROM classes c${groupBy.join}
+      LEFT JOIN sessions s ON s.class_id = c.id
+        AND ${f.sessionConds.join('\n        AND ')}
+      LEFT JOIN attendances a ON a.session_id = s.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY ${groupBy.group}
+      ORDER BY rate ASC
+    `, f.params)
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/attendance-rate :', e)
+    res.status(500).json({ message: 'Erreur stats présence' })
+  }
+})
+
+admin.get('/attendance-by-month', async (req, res) => {
+  try {
+    const groupBy = STATS_GROUPS[req.query.group_by || 'class']
+    if (!groupBy) return res.status(400).json({ message: 'group_by invalide (class, prof ou weekday)' })
+    const f = await statsFilters(req.query)
+    if (f.error) return res.status(400).json({ message: f.error })
+
+    const { rows } = await pool.query(`
+      SELECT ${groupBy.select},
+             EXTRACT(YEAR  FROM s.date)::int AS year,
+             EXTRACT(MONTH FROM s.date)::int AS month,${STATS_COLUMNS}
+      FROM classes c${groupBy.join}
+      JOIN sessions s ON s.class_id = c.id
+        AND s.date IS NOT NULL
+        AND ${f.sessionConds.join('\n        AND ')}
+      JOIN attendances a ON a.session_id = s.id
+      ${f.classConds.length ? `WHERE ${f.classConds.join(' AND ')}` : ''}
+      GROUP BY ${groupBy.group}, year, month
+      ORDER BY ${groupBy.group}, year, month
+    `, f.params)
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/attendance-by-month :', e)
+    res.status(500).json({ message: 'Erreur stats mensuelles' })
+  }
+})
+
+admin.get('/classes', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT c.id,
+             c.nom         AS name,
+             c.description,
+             c.user_id     AS owner_id,
+             u.username    AS owner_username
+      FROM classes c
+      LEFT JOIN users u ON u.id = c.user_id
+      ORDER BY c.nom ASC
+    `)
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/classes :', e)
+    res.status(500).json({ message: 'Erreur chargement classes' })
+  }
+})
+
+admin.get('/classes/:id/managers', async (req, res) => {
+  try {
+    const classId = Number(req.params.id)
+    if (!Number.isInteger(classId)) return res.status(400).json({ message: 'classId invalide' })
+
+    const { rows } = await pool.query(
+      `SELECT u.id, u.username, u.role, TRUE AS is_owner, 'owner' AS class_role
+       FROM users u
+       JOIN classes c ON c.user_id = u.id
+       WHERE c.id = $1
+       UNION
+       SELECT u.id, u.username, u.role, FALSE AS is_owner, cu.role AS class_role
+       FROM users u
+       JOIN class_users cu ON cu.user_id = u.id
+       JOIN classes c ON c.id = cu.class_id
+       WHERE cu.class_id = $1 AND c.user_id IS DISTINCT FROM u.id
+       ORDER BY is_owner DESC, username ASC`,
+      [classId],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/classes/:id/managers :', e)
+    res.status(500).json({ message: 'Erreur chargement gestionnaires' })
+  }
+})
+
+async function upsertOwnerLink(classId, ownerId) {
+  if (!ownerId) return
+  await pool.query(
+    `INSERT INTO class_users (class_id, user_id, role)
+     VALUES ($1, $2, 'owner')
+     ON CONFLICT (class_id, user_id) DO UPDATE SET role = 'owner'`,
+    [classId, ownerId],
+  )
+}
+
+admin.post('/classes', async (req, res) => {
+  try {
+    const { name, description, owner_id } = req.body
+    if (!name || !name.trim()) return res.status(400).json({ message: 'Nom requis' })
+
+    const { rows } = await pool.query(
+      `INSERT INTO classes (nom, description, user_id)
+       VALUES ($1, $2, $3)
+       RETURNING id, nom AS name, description, user_id AS owner_id`,
+      [name.trim(), description ?? null, owner_id ?? null],
+    )
+    await upsertOwnerLink(rows[0].id, owner_id)
+    res.json(rows[0])
+  } catch (e) {
+    console.error('POST /api/admin/classes :', e)
+    res.status(500).json({ message: 'Erreur création' })
+  }
+})
+
+admin.patch('/classes/:id', async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, description, owner_id } = req.body
+    const { rows } = await pool.query(
+      `UPDATE classes
+         SET nom         = COALESCE($1, nom),
+             description = COALESCE($2, description),
+             user_id     = $3
+       WHERE id = $4
+       RETURNING id, nom AS name, description, user_id AS owner_id`,
+      [name ?? null, description ?? null, owner_id ?? null, id],
+    )
+    if (!rows[0]) return res.status(404).json({ message: 'Classe introuvable' })
+    await upsertOwnerLink(id, owner_id)
+    res.json(rows[0])
+  } catch (e) {
+    console.error('PATCH /api/admin/classes/:id :', e)
+    res.status(500).json({ message: 'Erreur mise à jour' })
+  }
+})
+
+admin.delete('/classes/:id', async (req, res) => {
+  try {
+    const { id } = req.params
+    // Séances et pointages partent en cascade : pointages historisés d'abord
+    const { rows } = await pool.query(
+      `WITH gone AS (
+         DELETE FROM classes WHERE id = $1 RETURNING id
+       ),
+       hist AS (
+         INSERT INTO attendance_history
+           (session_id, student_id, action, old_status, old_comment, old_minutes,
+            changed_by, changed_by_username, source)
+         SELECT a.session_id, a.student_id, 'delete', a.status, a.comment, a.minutes, $2, $3, 'class_delete'
+         FROM attendances a
+         JOIN sessions s ON s.id = a.session_id
+         WHERE s.class_id = $1 AND EXISTS (SELECT 1 FROM gone)
+       )
+       SELECT COUNT(*)::int AS n FROM gone`,
+      [Number(id), req.user.id, req.user.username],
+    )
+    if (rows[0].n === 0) return res.status(404).json({ message: 'Classe introuvable' })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('DELETE /api/admin/classes/:id :', e)
+    res.status(500).json({ message: 'Erreur suppression' })
+  }
+})
+
+// Lie un utilisateur à une classe, ou change son niveau s'il y est déjà
+admin.post('/class-users', async (req, res) => {
+  try {
+    const { class_id, user_id, role = 'editor' } = req.body
+    if (!class_id || !user_id) return res.status(400).json({ message: 'Paramètres manquants' })
+    if (!CLASS_ROLE_RANK[role]) return res.status(400).json({ message: 'Rôle invalide (owner, editor, viewer)' })
+    await pool.query(
+      `INSERT INTO class_users (class_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (class_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+      [class_id, user_id, role],
+    )
+    res.json({ ok: true, role })
+  } catch (e) {
+    console.error('POST /api/admin/class-users :', e)
+    res.status(500).json({ message: 'Erreur liaison' })
+  }
+})
+
+admin.get('/class-users', async (req, res) => {
+  try {
+    const class_id = Number(req.query.class_id)
+    if (!Number.isInteger(class_id)) return res.status(400).json({ message: 'class_id invalide' })
+
+    const { rows } = await pool.query(
+      `(
+         SELECT u.id, u.username, u.role, FALSE AS is_owner, cu.role AS class_role
+         FROM class_users cu
+         JOIN users u ON u.id = cu.user_id
+         JOIN classes c ON c.id = cu.class_id
+         WHERE cu.class_id = $1 AND c.user_id IS DISTINCT FROM u.id
+       )
+       UNION
+       (
+         SELECT u.id, u.username, u.role, TRUE AS is_owner, 'owner' AS class_role
+         FROM classes c
+         JOIN users u ON u.id = c.user_id
+         WHERE c.id = $1 AND c.user_id IS NOT NULL
+       )
+       ORDER BY is_owner DESC, username ASC`,
+      [class_id],
+    )
+    res.json(Array.isArray(rows) ? rows : [])
+  } catch (e) {
+    console.error('GET /api/admin/class-users :', e)
+    res.status(500).json({ message: 'Erreur chargement gestionnaires' })
+  }
+})
+
+admin.delete('/class-users', async (req, res) => {
+  try {
+    const { class_id, user_id } = req.body
+    await pool.query('DELETE FROM class_users WHERE class_id = $1 AND user_id = $2', [
+      class_id,
+      user_id,
+    ])
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('DELETE /api/admin/class-users :', e)
+    res.status(500).json({ message: 'Erreur délier' })
+  }
+})
+
+// ─── Liens parent ↔ élève (portail familles) ─────────────────
+admin.get('/parent-students', async (req, res) => {
+  try {
+    const { parent_id, student_id } = req.query
+    const params = []
+    const where = []
+    if (parent_id) where.push(`ps.parent_id = $${params.push(Number(parent_id))}`)
+    if (student_id) where.push(`ps.student_id = $${params.push(Number(student_id))}`)
+    const { rows } = await pool.query(
+      `SELECT ps.parent_id, u.username AS parent_username, u.email AS parent_email,
+              ps.student_id, s.firstname, s.lastname
+       FROM parent_students ps
+       JOIN users    u ON u.id = ps.parent_id
+       JOIN students s ON s.id = ps.student_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY u.username ASC, s.lastname ASC, s.firstname ASC`,
+      params,
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/parent-students :', e)
+    res.status(500).json({ message: 'Erreur chargement liens parents' })
+  }
+})
+
+admin.post('/parent-students', async (req, res) => {
+  try {
+    const { parent_id, student_id } = req.body || {}
+    if (!parent_id || !student_id) return res.status(400).json({ message: 'Paramètres manquants' })
+    const { rows } = await pool.query("SELECT role FROM users WHERE id = $1", [parent_id])
+    if (!rows.length) return res.status(404).json({ message: 'Utilisateur introuvable' })
+    if (rows[0].role !== 'parent') return res.status(400).json({ message: "L'utilisateur n'a pas le rôle parent" })
+    await pool.query(
+      `INSERT INTO parent_students (parent_id, student_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [parent_id, student_id],
+    )
+    res.json({ ok: true })
+  } catch (e) {
+    if (e.code === '23503') return res.status(404).json({ message: 'Élève introuvable' })
+    console.error('POST /api/admin/parent-students :', e)
+    res.status(500).json({ message: 'Erreur liaison' })
+  }
+})
+
+admin.delete('/parent-students', async (req, res) => {
+  try {
+    const { parent_id, student_id } = req.body || {}
+    await pool.query('DELETE FROM parent_students WHERE parent_id = $1 AND student_id = $2', [
+      parent_id,
+      student_id,
+    ])
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('DELETE /api/admin/parent-students :', e)
+    res.status(500).json({ message: 'Erreur délier' })
+  }
+})
+
+// ─── Alertes d'absences répétées ───────────────────────────
+const ABSENCE_ALERT_DEFAULTS = {
+  consecutive_absences: 4, // absences non excusées d'affilée
+  absence_rate: 40,        // % d'absences non excusées sur l'année…
+  min_sessions: 8,         // …à partir de ce nombre de séances pointées
+  notify_families: false,
+}
+
+async function getAbsenceAlertSettings() {
+  return { ...ABSENCE_ALERT_DEFAULTS, ...(await getSetting('absence_alerts', {})) }
+}
+
+// Calcule, par élève et par classe de l'année courante, la série en cours
+// d'absences non excusées et le taux d'absence. Ne comptent que les
+// séances passées et pointées, hors séances annulées/fériées/vacances et
+// hors vacances et fériés du calendrier. Une absence excusée est neutre : elle ne compte
+// pas mais n'interrompt pas la série. Retard et départ anticipé valent
+// présence.
+async function findAbsenceAlerts(settings) {
+  const { rows } = await pool.query(
+    `SELECT ce.student_id, st.firstname, st.lastname,
+            c.id AS class_id, c.nom AS class_name, sy.id AS school_year_id,
+            to_char(s.date, 'YYYY-MM-DD') AS date, a.status
+     FROM school_years sy
+     JOIN class_enrollments ce ON ce.school_year_id = sy.id
+     JOIN students st ON st.id = ce.student_id
+     JOIN classes  c  ON c.id  = ce.class_id
+     JOIN sessions s  ON s.class_id = ce.class_id AND s.school_year_id = sy.id
+     JOIN attendances a ON a.session_id = s.id AND a.student_id = ce.student_id
+     WHERE sy.is_current = true
+       AND s.date <= CURRENT_DATE
+       AND COALESCE(s.status, 'scheduled') NOT IN ('cancelled', 'holiday', 'vacation')
+       AND NOT ${calendarDaySql('s.date')}
+     ORDER BY ce.student_id, c.id, s.date DESC`,
+  )
+
+  const groups = new Map()
+  for (const r of rows) {
+    const key = `${r.student_id}:${r.class_id}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(r)
+  }
+
+  const alerts = []
+  for (const marks of groups.values()) {
+    const { student_id, firstname, lastname, class_id, class_name, school_year_id } = marks[0]
+    const base = { student_id, firstname, lastname, class_id, class_name, school_year_id }
+
+    // Série en cours, en remontant depuis la séance la plus récente
+    let streak = 0
+    let streakStart = null
+    for (const m of marks) {
+      if (m.status === 'excused') continue
+      if (m.status !== 'absent') break
+      streak++
+      streakStart = m.date
+    }
+    if (streak >= settings.consecutive_absences) {
+      alerts.push({ ...base, kind: 'streak', ref: streakStart, value: streak, since: streakStart })
+    }
+
+    const absents = marks.filter((m) => m.status === 'absent').length
+    const rate = Math.round((1000 * absents) / marks.length) / 10
+    if (marks.length >= settings.min_sessions && rate >= settings.absence_rate) {
+      alerts.push({ ...base, kind: 'rate', ref: String(school_year_id), value: rate, sessions: marks.length })
+    }
+  }
+  return alerts
+}
+
+function describeAbsenceAlert(a) {
+  return a.kind === 'streak'
+    ? `${a.firstname} ${a.lastname} (${a.class_name}) : ${a.value} absences non excusées d'affilée depuis le ${a.since}`
+    : `${a.firstname} ${a.lastname} (${a.class_name}) : ${a.value} % d'absences non excusées sur ${a.sessions} séances`
+}
+
+// Détecte les alertes, ne garde que les nouvelles (table absence_alerts,
+// clé unique élève/classe/type/référence : une série ou une année ne
+// déclenche qu'une alerte), puis prévient l'admin et éventuellement la famille.
+async function runAbsenceAlerts() {
+  const settings = await getAbsenceAlertSettings()
+  const found = await findAbsenceAlerts(settings)
+
+  const fresh = []
+  for (const a of found) {
+    const { rows } = await pool.query(
+      `INSERT INTO absence_alerts (student_id, class_id, school_year_id, kind, ref, value)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (student_id, class_id, kind, ref) DO NOTHING
+       RETURNING id`,
+      [a.student_id, a.class_id, a.school_year_id, a.kind, a.ref, a.value],
+    )
+    if (rows.length) fresh.push({ ...a, id: rows[0].id })
+  }
+  if (!fresh.length) return { detected: found.length, sent: 0 }
+
+  const lines = fresh.map(describeAbsenceAlert)
+  sendAbsenceAlertsEmail(lines).catch((e) =>
+    console.error('[mailer] échec envoi email alertes absences :', e.message),
+  )
+
+  if (process.env.VAPID_PUBLIC_KEY) {
+    const { rows: admins } = await pool.query("SELECT id FROM users WHERE role = 'admin' AND is_active")
+    const body = fresh.length === 1
+      ? lines[0]
+      : `${fresh.length} élèves à suivre : ${fresh.map((a) => `${a.firstname} ${a.lastname}`).join(', ')}`
+    for (const adminUser of admins) {
+      await sendPushToUser(adminUser.id, { title: 'Absences répétées ⚠️', body, url: '/admin' })
+    }
+  }
+
+  if (settings.notify_families) {
+    for (const a of fresh) {
+      const { rows: parents } = await pool.query(
+        `SELECT u.email FROM parent_students ps
+         JOIN users u ON u.id = ps.parent_id
+         WHERE ps.student_id = $1 AND u.is_active AND u.email IS NOT NULL`,
+        [a.student_id],
+      )
+      for (const p of parents) {
+        sendFamilyAbsenceEmail(p.email, `${a.firstname} ${a.lastname}`, a.class_name).catch((e) =>
+          console.error('[mailer] échec envoi email famille :', e.message),
+        )
+      }
+      if (parents.length) {
+        await pool.query('UPDATE absence_alerts SET family_notified = TRUE WHERE id = $1', [a.id])
+      }
+    }
+  }
+
+  return { detected: found.length, sent: fresh.length }
+}
+
+admin.get('/settings/absence-alerts', async (_req, res) => {
+  try {
+    res.json(await getAbsenceAlertSettings())
+  } catch (e) {
+    console.error('GET /api/admin/settings/absence-alerts :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+admin.patch('/settings/absence-alerts', async (req, res) => {
+  try {
+    const next = await getAbsenceAlertSettings()
+    const body = req.body || {}
+    for (const key of ['consecutive_absences', 'absence_rate', 'min_sessions']) {
+      if (body[key] === undefined) continue
+      const n = Number(body[key])
+      if (!Number.isFinite(n) || n <= 0) return res.status(400).json({ message: `${key} invalide` })
+      next[key] = n
+    }
+    if (body.notify_families !== undefined) next.notify_families = !!body.notify_families
+    await setSetting('absence_alerts', next)
+    res.json(next)
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/absence-alerts :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+admin.get('/absence-alerts', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT aa.id, aa.kind, aa.ref, aa.value, aa.family_notified, aa.created_at,
+              aa.student_id, st.firstname, st.lastname,
+              aa.class_id, c.nom AS class_name
+       FROM absence_alerts aa
+       JOIN students st ON st.id = aa.student_id
+       JOIN classes  c  ON c.id  = aa.class_id
+       JOIN school_years sy ON sy.id = aa.school_year_id AND sy.is_current = true
+       ORDER BY aa.created_at DESC`,
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/absence-alerts :', e)
+    res.status(500).json({ message: 'Erreur chargement alertes' })
+  }
+})
+
+// Lancement manuel (mêmes règles et même dédoublonnage que le cron)
+admin.post('/absence-alerts/run', async (_req, res) => {
+  try {
+    res.json(await runAbsenceAlerts())
+  } catch (e) {
+    console.error('POST /api/admin/absence-alerts/run :', e)
+    res.status(500).json({ message: 'Erreur détection alertes' })
+  }
+})
+
+// ─── Verrouillage des séances (clôture, verrouillage auto, déverrouillage) ───
+const SESSION_AUTO_LOCK_DEFAULT_DAYS = 30
+
+async function logSessionLock(sessionId, action, actor, reason) {
+  await pool.query(
+    `INSERT INTO session_lock_log (session_id, action, reason, user_id, username)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sessionId, action, reason, actor?.id ?? null, actor?.username ?? null],
+  )
+}
+
+// Verrouille les séances clôturées depuis plus de N jours ; une séance
+// jamais clôturée reste pointable. Une séance déverrouillée par un admin
+// bénéficie à nouveau de N jours avant d'être reverrouillée. N = 0
+// désactive le verrouillage automatique.
+async function autoLockSessions() {
+  const days = Number(await getSetting('session_auto_lock_days', SESSION_AUTO_LOCK_DEFAULT_DAYS))
+  if (!days) return 0
+  const { rows } = await pool.query(
+    `UPDATE sessions SET locked_at = NOW(), locked_by = NULL
+     WHERE locked_at IS NULL
+       AND closed_at < NOW() - make_interval(days => $1)
+       AND (unlocked_at IS NULL OR unlocked_at < NOW() - make_interval(days => $1))
+     RETURNING id`,
+    [days],
+  )
+  if (rows.length) {
+    await pool.query(
+      `INSERT INTO session_lock_log (session_id, action)
+       SELECT unnest($1::int[]), 'auto_lock'`,
+      [rows.map((r) => r.id)],
+    )
+  }
+  return rows.length
+}
+
+admin.post('/sessions/:id/unlock', async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+    const reason = String(req.body?.reason || '').trim()
+    if (reason.length < 3) return res.status(400).json({ message: 'Motif de déverrouillage requis' })
+
+    const { rows } = await pool.query(
+      `UPDATE sessions
+         SET locked_at = NULL, locked_by = NULL, unlocked_at = NOW()
+       WHERE id = $1 AND locked_at IS NOT NULL
+       RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note, closed_at, locked_at`,
+      [id],
+    )
+    if (!rows.length) {
+      const { rows: exists } = await pool.query('SELECT 1 FROM sessions WHERE id = $1', [id])
+      if (!exists.length) return res.status(404).json({ message: 'Séance introuvable' })
+      return res.status(409).json({ message: "Séance non verrouillée" })
+    }
+    await logSessionLock(id, 'unlock', req.user, reason.slice(0, 500))
+    res.json(rows[0])
+  } catch (e) {
+    console.error('POST /api/admin/sessions/:id/unlock :', e)
+    res.status(500).json({ message: 'Erreur déverrouillage' })
+  }
+})
+
+admin.get('/sessions/:id/lock-log', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, action, reason, user_id, username, created_at
+       FROM session_lock_log WHERE session_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [Number(req.params.id)],
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/sessions/:id/lock-log :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+admin.get('/settings/session-lock', async (_req, res) => {
+  try {
+    const days = await getSetting('session_auto_lock_days', SESSION_AUTO_LOCK_DEFAULT_DAYS)
+    res.json({ auto_lock_days: Number(days) })
+  } catch (e) {
+    console.error('GET /api/admin/settings/session-lock :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+admin.patch('/settings/session-lock', async (req, res) => {
+  try {
+    const days = Number(req.body?.auto_lock_days)
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({ message: 'auto_lock_days invalide (0 à 365, 0 = désactivé)' })
+    }
+    await setSetting('session_auto_lock_days', days)
+    res.json({ auto_lock_days: days })
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/session-lock :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+// ─── Élèves à risque (tableau de bord de suivi) ────────────
+// Le score (0 à 100) est une moyenne pondérée de facteurs ramenés entre
+// 0 et 1 ; les poids et plafonds sont réglables (app_settings.at_risk_score).
+const AT_RISK_DEFAULTS = {
+  recent_sessions: 6,      // N : fenêtre de la tendance
+  streak_cap: 5,           // série d'absences comptée comme maximale
+  inactivity_cap_days: 60, // jours sans venir comptés comme maximum
+  weights: {
+    absence_rate: 40,      // taux d'absence non excusée sur l'année
+    trend: 20,             // baisse du taux sur les N dernières séances
+    streak: 20,            // plus longue série d'absences
+    inactivity: 10,        // ancienneté de la dernière présence
+    not_reenrolled: 10,    // pas réinscrit l'année suivante
+  },
+}
+
+async function getAtRiskSettings() {
+  const saved = await getSetting('at_risk_score', {})
+  return {
+    ...AT_RISK_DEFAULTS,
+    ...saved,
+    weights: { ...AT_RISK_DEFAULTS.weights, ...(saved.weights || {}) },
+  }
+}
+
+// Indicateurs par élève sur une année scolaire, mêmes règles que les
+// alertes : séances passées et pointées, hors annulées/fériées/vacances
+// et calendrier scolaire ; l'excusé est neutre ; retard et départ anticipé
+// valent présence. `reenrolled` vaut null tant que l'année suivante
+// n'existe pas.
+async function computeAtRiskStudents(schoolYearId, settings) {
+  const { rows } = await pool.query(
+    `WITH next_year AS (
+       SELECT ny.id FROM school_years ny
+       WHERE ny.start_date > (SELECT start_date FROM school_years WHERE id = $1)
+       ORDER BY ny.start_date LIMIT 1
+     )
+     SELECT st.id AS student_id, st.firstname, st.lastname,
+            c.nom AS class_name, to_char(s.date, 'YYYY-MM-DD') AS date, a.status,
+            CASE WHEN (SELECT id FROM next_year) IS NULL THEN NULL
+                 ELSE EXISTS (
+                   SELECT 1 FROM class_enrollments nce
+                   WHERE nce.student_id = st.id AND nce.school_year_id = (SELECT id FROM next_year)
+                 )
+            END AS reenrolled
+     FROM class_enrollments ce
+     JOIN students st ON st.id = ce.student_id
+     JOIN classes  c  ON c.id  = ce.class_id
+     JOIN sessions s  ON s.class_id = ce.class_id AND s.school_year_id = ce.school_year_id
+     JOIN attendances a ON a.session_id = s.id AND a.student_id = ce.student_id
+     WHERE ce.school_year_id = $1
+       AND s.date <= CURRENT_DATE
+       AND COALESCE(s.status, 'scheduled') NOT IN ('cancelled', 'holiday', 'vacation')
+       AND NOT ${calendarDaySql('s.date')}
+     ORDER BY st.id, s.date`,
+    [schoolYearId],
+  )
+
+  const byStudent = new Map()
+  for (const r of rows) {
+    if (!byStudent.has(r.student_id)) byStudent.set(r.student_id, [])
+    byStudent.get(r.student_id).push(r)
+  }
+
+  const today = Date.parse(new Date().toISOString().slice(0, 10))
+  const rate = (marks) => {
+    const counted = marks.filter((m) => m.status !== 'excused')
+    if (!counted.length) return null
+    return counted.filter((m) => m.status !== 'absent').length / counted.length
+  }
+  const { weights } = settings
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + Number(w || 0), 0) || 1
+
+  const students = []
+  for (const marks of byStudent.values()) {
+    const { student_id, firstname, lastname, reenrolled } = marks[0]
+    const overall = rate(marks)
+    const recent = rate(marks.slice(-settings.recent_sessions))
+
+    let streak = 0
+    let longestStreak = 0
+    let lastAttended = null
+    for (const m of marks) {
+      if (m.status === 'absent') longestStreak = Math.max(longestStreak, ++streak)
+      else if (m.status !== 'excused') { streak = 0; lastAttended = m.date }
+    }
+    const inactiveDays = lastAttended
+      ? Math.round((today - Date.parse(lastAttended)) / 86400000)
+      : null
+
+    const trend = overall != null && recent != null ? recent - overall : 0
+    const factors = {
+      absence_rate: overall == null ? 0 : 1 - overall,
+      trend: Math.max(0, -trend),
+      streak: Math.min(1, longestStreak / settings.streak_cap),
+      inactivity: inactiveDays == null ? 1 : Math.min(1, inactiveDays / settings.inactivity_cap_days),
+      not_reenrolled: reenrolled === false ? 1 : 0,
+    }
+    const score = Object.entries(factors)
+      .reduce((sum, [k, v]) => sum + Number(weights[k] || 0) * v, 0) / totalWeight
+
+    students.push({
+      student_id,
+      firstname,
+      lastname,
+      classes: [...new Set(marks.map((m) => m.class_name))],
+      marked_sessions: marks.length,
+      attendance_rate: overall == null ? null : Math.round(overall * 1000) / 10,
+      recent_rate: recent == null ? null : Math.round(recent * 1000) / 10,
+      trend: Math.round(trend * 1000) / 10,
+      longest_absence_streak: longestStreak,
+      last_attendance_date: lastAttended,
+      reenrolled,
+      score: Math.round(score * 1000) / 10,
+    })
+  }
+  return students.sort((a, b) => b.score - a.score)
+}
+
+// GET /api/admin/students/at-risk?school_year_id=&limit=&min_score=&recent_sessions=
+admin.get('/students/at-risk', async (req, res) => {
+  try {
+    const settings = await getAtRiskSettings()
+    if (req.query.recent_sessions !== undefined) {
+      const n = Number(req.query.recent_sessions)
+      if (!Number.isInteger(n) || n < 1) return res.status(400).json({ message: 'recent_sessions invalide' })
+      settings.recent_sessions = n
+    }
+    const yearId = req.query.school_year_id ? Number(req.query.school_year_id) : null
+    if (req.query.school_year_id && !Number.isInteger(yearId)) {
+      return res.status(400).json({ message: 'school_year_id invalide' })
+    }
+    const minScore = Number(req.query.min_score || 0)
+    if (Number.isNaN(minScore)) return res.status(400).json({ message: 'min_score invalide' })
+
+    const { rows: years } = await pool.query(
+      `SELECT id, label FROM school_years
+       WHERE ${yearId ? 'id = $1' : 'is_current = true'} LIMIT 1`,
+      yearId ? [yearId] : [],
+    )
+    if (!years.length) return res.status(404).json({ message: 'Année scolaire introuvable' })
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500)
+    const students = (await computeAtRiskStudents(years[0].id, settings))
+      .filter((st) => st.score >= minScore)
+      .slice(0, limit)
+    res.json({ school_year: years[0], settings, students })
+  } catch (e) {
+    console.error('GET /api/admin/students/at-risk :', e)
+    res.status(500).json({ message: 'Erreur calcul élèves à risque' })
+  }
+})
+
+admin.get('/settings/at-risk', async (_req, res) => {
+  try {
+    res.json(await getAtRiskSettings())
+  } catch (e) {
+    console.error('GET /api/admin/settings/at-risk :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+admin.patch('/settings/at-risk', async (req, res) => {
+  try {
+    const next = await getAtRiskSettings()
+    const body = req.body || {}
+    for (const key of ['recent_sessions', 'streak_cap', 'inactivity_cap_days']) {
+      if (body[key] === undefined) continue
+      const n = Number(body[key])
+      if (!Number.isInteger(n) || n <= 0) return res.status(400).json({ message: `${key} invalide` })
+      next[key] = n
+    }
+    for (const [key, value] of Object.entries(body.weights || {})) {
+      if (!(key in AT_RISK_DEFAULTS.weights)) return res.status(400).json({ message: `Poids inconnu : ${key}` })
+      const n = Number(value)
+      if (!Number.isFinite(n) || n < 0) return res.status(400).json({ message: `Poids ${key} invalide` })
+      next.weights[key] = n
+    }
+    await setSetting('at_risk_score', next)
+    res.json(next)
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/at-risk :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+// ─── Calendrier scolaire : zone active ───────────────────────
+// Les périodes se gèrent par année scolaire, cf. routes/schoolYears.js
+admin.get('/settings/calendar', async (_req, res) => {
+  try {
+    res.json({ zone: await getSetting('calendar_zone', CALENDAR_ZONE_DEFAULT) })
+  } catch (e) {
+    console.error('GET /api/admin/settings/calendar :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+// Changer de zone ne modifie pas les séances existantes : utiliser
+// ensuite POST /api/admin/school-years/:id/calendar/reflag
+admin.patch('/settings/calendar', async (req, res) => {
+  try {
+    const zone = String(req.body?.zone || '').trim().toUpperCase()
+    if (!/^[A-Z]{1,10}$/.test(zone)) return res.status(400).json({ message: 'zone invalide' })
+    await setSetting('calendar_zone', zone)
+    res.json({ zone })
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/calendar :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+// Liste tous les élèves avec leur classe (admin uniquement)
+app.get('/api/admin/students', authenticateToken, authorizeRoles('admin'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT s.id, s.firstname, s.lastname, c.nom AS class_name
+       FROM students s
+       LEFT JOIN classes c ON c.id = s.class_id
+       ORDER BY s.lastname ASC, s.firstname ASC`,
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/students :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// Années scolaires (admin uniquement)
+app.use('/api/admin/school-years',  authenticateToken, authorizeRoles('admin'), schoolYears)
+app.use('/api/admin/enrollments',   authenticateToken, authorizeRoles('admin'), enrollments)
+
+// Année courante (profs et admins ; les parents passent par /api/parent)
+app.get('/api/current-school-year', authenticateToken, authorizeRoles('prof', 'admin'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, label,
+              to_char(start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(end_date,   'YYYY-MM-DD') AS end_date
+       FROM school_years WHERE is_current = true LIMIT 1`,
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Aucune année scolaire active' })
+    res.json(rows[0])
+  } catch (e) {
+    console.error('GET /api/current-school-year :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// Portail familles : lecture seule des présences de leurs enfants
+app.use('/api/parent', authenticateToken, authorizeRoles('parent'), parentPortal)
+
+// Route publique (pas d'authentification requise)
+app.post('/api/public/inscription', handleInscription)
+
+// Justificatif d'absence via le lien personnel d'un élève (sans compte).
+// Le GET ne renvoie que le strict nécessaire pour afficher le formulaire.
+const justificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Trop de demandes, réessayez dans une heure.' },
+})
+
+async function findStudentByJustificationToken(token) {
+  if (!/^[\w-]{20,64}$/.test(String(token))) return null
+  const { rows } = await pool.query(
+    `SELECT s.id, s.firstname, c.nom AS class_name
+     FROM students s
+     LEFT JOIN classes c ON c.id = s.class_id
+     WHERE s.justification_token = $1`,
+    [token],
+  )
+  return rows[0] || null
+}
+
+app.get('/api/public/justifications/:token', justificationLimiter, async (req, res) => {
+  try {
+    const student = await findStudentByJustificationToken(req.params.token)
+    if (!student) return res.status(404).json({ message: 'Lien invalide' })
+    res.json({ firstname: student.firstname, class_name: student.class_name })
+  } catch (e) {
+    console.error('GET /api/public/justifications/:token :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+app.post('/api/public/justifications/:token', justificationLimiter, async (req, res) => {
+  try {
+    const student = await findStudentByJustificationToken(req.params.token)
+    if (!student) return res.status(404).json({ message: 'Lien invalide' })
+    const { date_from, date_to, reason, document } = req.body || {}
+    const created = await createJustification({
+      studentId: student.id, dateFrom: date_from, dateTo: date_to, reason, document, via: 'public',
+    })
+    if (created.error) return res.status(400).json({ message: created.error })
+    res.status(201).json({ id: created.id, status: created.status })
+  } catch (e) {
+    console.error('POST /api/public/justifications/:token :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+app.use('/api/admin', admin)
+
+// ─────────────────────────────────────────────────────────────
+// DOSSIERS — lecture admin
+// ─────────────────────────────────────────────────────────────
+const dossierUploads = require('path').join(__dirname, 'uploads', 'dossiers')
+
+// Liste tous les dossiers reçus (admin uniquement)
+app.get('/api/admin/dossiers', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status } = req.query
+    const params = []
+    const where = status ? `WHERE status = $${params.push(status)}` : ''
+    const { rows } = await pool.query(
+      `SELECT id, type, nom_eleve, prenom_eleve, submitted_at, status, phone
+       FROM dossiers ${where} ORDER BY submitted_at DESC`,
+      params,
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/admin/dossiers :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+const PARENT_WELCOME_TTL_MINUTES = 7 * 24 * 60
+
+// Retrouve le compte parent associé à l'email (ou le crée) puis le lie à
+// l'élève. Un nouveau compte reçoit un lien pour choisir son mot de passe.
+async function ensureParentAccount(email, studentId) {
+  const { rows: existing } = await pool.query(
+    `SELECT id, username, role FROM users
+     WHERE lower(email) = lower($1) OR lower(username) = lower($1)
+     ORDER BY (role = 'parent') DESC
+     LIMIT 1`,
+    [email],
+  )
+  let parent = existing[0]
+  let created = false
+  if (parent && parent.role !== 'parent') {
+    const err = new Error('email_used_by_staff')
+    err.status = 409
+    throw err
+  }
+  if (!parent) {
+    const { rows } = await pool.query(
+      `INSERT INTO users (username, password, role, email, is_active, must_change_password)
+       VALUES ($1, $2, 'parent', $1, TRUE, FALSE)
+       RETURNING id, username, role`,
+      [email, bcrypt.hashSync(crypto.randomBytes(24).toString('base64url'), 10)],
+    )
+    parent = rows[0]
+    created = true
+  }
+
+  await pool.query(
+    `INSERT INTO parent_students (parent_id, student_id)
+     VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [parent.id, studentId],
+  )
+
+  if (created) {
+    const url = await createPasswordResetLink(parent.id, PARENT_WELCOME_TTL_MINUTES)
+    sendParentWelcomeEmail(email, url).catch((e) =>
+      console.error('[mailer] échec envoi email compte parent :', e.message),
+    )
+  }
+  return { id: parent.id, username: parent.username, created }
+}
+
+// Accepter un dossier : crée l'élève + enrollment, et optionnellement le
+// compte parent (create_parent_account) à partir de l'email du dossier.
+app.post('/api/admin/dossiers/:id/accept', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const id = Number(req.params.id)
+  const { class_id, school_year_id, student_id, create_parent_account } = req.body || {}
+  if (!class_id || !school_year_id) {
+    return res.status(400).json({ message: 'class_id et school_year_id requis' })
+  }
+  try {
+    const { rows: found } = await pool.query(
+      'SELECT id, nom_eleve, prenom_eleve, status, phone, email FROM dossiers WHERE id = $1',
+      [id],
+    )
+    if (!found.length) return res.status(404).json({ message: 'Dossier introuvable' })
+    if (found[0].status === 'accepted') return res.status(409).json({ message: 'Dossier déjà accepté' })
+
+    const { nom_eleve, prenom_eleve, phone, email } = found[0]
+    if (create_parent_account && !email) {
+      return res.status(400).json({ message: 'Aucun email parent dans ce dossier' })
+    }
+
+    let studentId = student_id ? Number(student_id) : null
+
+    if (!studentId) {
+      const { rows: students } = await pool.query(
+        `INSERT INTO students (firstname, lastname, class_id, phone)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [prenom_eleve, nom_eleve, class_id, phone || null],
+      )
+      studentId = students[0].id
+    } else {
+      await pool.query(
+        'UPDATE students SET class_id = $1 WHERE id = $2',
+        [class_id, studentId],
+      )
+    }
+
+    await pool.query(
+      `INSERT INTO class_enrollments (student_id, class_id, school_year_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (student_id, class_id, school_year_id) DO NOTHING`,
+      [studentId, class_id, school_year_id],
+    )
+
+    await pool.query('UPDATE dossiers SET status = $1 WHERE id = $2', ['accepted', id])
+
+    let parent = null
+    if (create_parent_account) {
+      try {
+        parent = await ensureParentAccount(email, studentId)
+      } catch (e) {
+        if (e.status !== 409) throw e
+        return res.status(409).json({
+          message: 'Dossier accepté, mais cet email appartient déjà à un compte prof/admin',
+          student_id: studentId,
+        })
+      }
+    }
+
+    res.json({ success: true, student_id: studentId, parent })
+  } catch (e) {
+    console.error('POST /api/admin/dossiers/:id/accept :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// Téléchargement d'un PDF de dossier (admin uniquement)
+app.get('/api/admin/dossiers/:id/pdf', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT pdf_filename, type, nom_eleve, prenom_eleve FROM dossiers WHERE id = $1',
+      [Number(req.params.id)],
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Dossier introuvable' })
+
+    const { pdf_filename, type, prenom_eleve, nom_eleve } = rows[0]
+    const filePath = require('path').join(dossierUploads, pdf_filename)
+
+    if (!require('fs').existsSync(filePath)) {
+      return res.status(404).json({ message: 'Fichier PDF introuvable' })
+    }
+
+    const safeName = (v) => String(v || '').replace(/[^\wÀ-ɏ\- ]/g, '').trim()
+    const safeFilename = `dossier-${type}-${safeName(prenom_eleve)}-${safeName(nom_eleve)}.pdf`
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}"`)
+    require('fs').createReadStream(filePath).pipe(res)
+  } catch (e) {
+    console.error('GET /api/admin/dossiers/:id/pdf :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// ─────────────────────────────────────────────────────────────
+// CLASSES
+// ─────────────────────────────────────────────────────────────
+
+// Route legacy (admin uniquement) conservée pour compatibilité
+app.get('/classes', authenticateToken, authorizeRoles('admin'), async (_req, res) => {
+  try {
+    const result = await pool.query('SELECT id, nom AS name FROM classes ORDER BY nom ASC')
+    res.json(result.rows)
+  } catch (err) {
+    console.error('GET /classes :', err)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+app.get('/my-classes', authenticateToken, authorizeRoles('prof', 'admin'), async (req, res) => {
+  try {
+    if (req.user.role === 'admin') {
+      const { rows } = await pool.query(
+        'SELECT id, nom AS name, description, user_id AS owner_id FROM classes ORDER BY nom ASC',
+      )
+      return res.json(rows)
+    }
+    const { rows } = await pool.query(
+      `SELECT c.id, c.nom AS name, c.description, c.user_id AS owner_id,
+              CASE WHEN c.user_id = $1 THEN 'owner' ELSE cu.role END AS my_role
+       FROM classes c
+       LEFT JOIN class_users cu ON cu.class_id = c.id AND cu.user_id = $1
+       WHERE c.user_id = $1 OR cu.user_id IS NOT NULL
+       ORDER BY c.nom ASC`,
+      [req.user.id],
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error('GET /my-classes :', err)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+const classesRouter = express.Router()
+
+// Renvoie les classes accessibles à l'utilisateur connecté
+classesRouter.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role === 'admin') {
+      const result = await pool.query('SELECT id, nom AS name FROM classes ORDER BY nom ASC')
+      return res.json(result.rows)
+    }
+    if (req.user.role === 'prof') {
+      const result = await pool.query(
+        `SELECT DISTINCT c.id, c.nom AS name
+         FROM classes c
+         LEFT JOIN class_users cu ON cu.class_id = c.id
+         WHERE c.user_id = $1 OR cu.user_id = $1
+         ORDER BY c.nom ASC`,
+        [req.user.id],
+      )
       return res.json(result.rows)
     }
-    if (req.user.role === 'prof') {
-      const result = await pool.query(
-        `SELECT DISTINCT c.id, c.nom AS name
-         FROM classes c
-         LEFT JOIN class_users cu ON cu.class_id = c.id
-         WHERE c.user_id = $1 OR cu.user_id = $1
-         ORDER BY c.nom ASC`,
-        [req.user.id],
+    return res.status(403).json({ message: 'Accès interdit' })
+  } catch (err) {
+    console.error('GET /api/classes :', err)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+classesRouter.get('/:id', authenticateToken, authorizeRoles('prof', 'admin'), ensureClassAccess('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { rows } = await pool.query(
+      'SELECT id, nom AS name, weekday, self_checkin FROM classes WHERE id = $1',
+      [id],
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Classe introuvable' })
+    res.json({ ...rows[0], slots: await loadClassSlots(rows[0].id) })
+  } catch (e) {
+    console.error('GET /api/classes/:id :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+app.use('/api/classes', classesRouter)
+
+// Horaires d'une séance (HH:MM), repris du créneau de la classe
+const SESSION_TIMES = `to_char(start_time, 'HH24:MI') AS start_time,
+                       to_char(end_time, 'HH24:MI') AS end_time, room`
+
+// GET /api/classes/:id/slots — créneaux hebdomadaires de la classe
+app.get(
+  '/api/classes/:id/slots',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('viewer'),
+  async (req, res) => {
+    try {
+      res.json(await loadClassSlots(Number(req.params.id)))
+    } catch (e) {
+      console.error('GET /api/classes/:id/slots :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
+  },
+)
+
+// PUT /api/classes/:id/slots — remplace tous les créneaux, génère les
+// séances manquantes de l'année scolaire (?startYear pour une autre année)
+// et retire les séances à venir sorties de la récurrence ou d'un jour
+// retiré (`removed`)
+// { slots: [{ weekday: 1..7, start_time: 'HH:MM', end_time: 'HH:MM', room?,
+//             rrule?: 'FREQ=WEEKLY;INTERVAL=2', dtstart?, exdates? }] }
+app.put(
+  '/api/classes/:id/slots',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('owner'),
+  async (req, res) => {
+    try {
+      const classId = Number(req.params.id)
+      const parsed = normalizeSlots(req.body?.slots)
+      if (parsed.error) return res.status(400).json({ message: parsed.error })
+
+      const previous = await loadClassSlots(classId)
+      const removedWeekdays = previous
+        .map((slot) => slot.weekday)
+        .filter((day) => !parsed.slots.some((slot) => slot.weekday === day))
+      await replaceClassSlots(classId, parsed.slots)
+      const sy = /^\d{4}$/.test(String(req.query.startYear || '')) ? Number(req.query.startYear) : schoolStartYear()
+      const start = utcNoon(sy, 8, 1)
+      const end = utcNoon(sy + 1, 6, 14)
+      await ensureClassSessions(classId, start, end)
+      const removed = await removeStaleSessions(classId, parsed.slots, ymdUTC(start), ymdUTC(end), removedWeekdays)
+
+      res.json({ slots: await loadClassSlots(classId), removed })
+    } catch (e) {
+      console.error('PUT /api/classes/:id/slots :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
+  },
+)
+
+// Ajoute le jour de cours à la classe (créneau, heures facultatives :
+// { weekday, start_time?, end_time?, room? }) et génère les séances
+// manquantes de tous ses créneaux. Pour retirer un jour : PUT /slots.
+app.patch(
+  ['/api/classes/:id/weekday', '/classes/:id/weekday'],
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('owner'),
+  async (req, res) => {
+    try {
+      const classId = Number(req.params.id)
+      const iso = normalizeToIsoWeekday(req.body.weekday)
+      if (!iso) return res.status(400).json({ message: 'weekday invalide' })
+
+      const upserted = await upsertClassSlot(classId, iso, req.body)
+      if (upserted.error) return res.status(400).json({ message: upserted.error })
+
+      const sy = Number.isInteger(req.body.startYear) ? req.body.startYear : schoolStartYear()
+      const start = utcNoon(sy, 8, 1)
+      const end = utcNoon(sy + 1, 6, 14)
+      await ensureClassSessions(classId, start, end)
+
+      const { rows } = await pool.query(
+        `SELECT id, to_char(date,'YYYY-MM-DD') AS date, status, note, ${SESSION_TIMES}
+         FROM sessions WHERE class_id=$1 ORDER BY date`,
+        [classId],
+      )
+      res.json(rows)
+    } catch (e) {
+      console.error('PATCH weekday :', e)
+      res.status(500).json({ message: 'Erreur mise à jour du jour de classe' })
+    }
+  },
+)
+
+// Route legacy : génère les séances d'une classe pour l'année scolaire active
+app.post(
+  '/classes/:id/generate-sessions',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('owner'),
+  async (req, res) => {
+    try {
+      const classId = Number(req.params.id)
+      if (!Number.isInteger(classId)) return res.status(400).json({ message: 'classId invalide' })
+
+      const cl = await pool.query('SELECT id FROM classes WHERE id = $1', [classId])
+      if (!cl.rows[0]) return res.status(404).json({ message: 'Classe introuvable' })
+
+      const isoWeekday = normalizeToIsoWeekday(req.body?.weekday)
+      if (isoWeekday != null) {
+        const upserted = await upsertClassSlot(classId, isoWeekday)
+        if (upserted.error) return res.status(400).json({ message: upserted.error })
+      } else if (!(await loadClassSlots(classId)).length) {
+        return res.status(400).json({ message: 'Jour de cours requis (weekday)' })
+      }
+
+      const { start, end } = getActiveSchoolYear()
+      await ensureClassSessions(classId, start, end)
+
+      const { rows } = await pool.query(
+        `SELECT id, to_char(date,'YYYY-MM-DD') AS date, status, note, ${SESSION_TIMES}
+         FROM sessions WHERE class_id=$1 ORDER BY date`,
+        [classId],
+      )
+      res.json(rows)
+    } catch (e) {
+      console.error('POST /classes/:id/generate-sessions :', e)
+      res.status(500).json({ message: 'Erreur génération sessions' })
+    }
+  },
+)
+
+// ─────────────────────────────────────────────────────────────
+// STUDENTS
+// ─────────────────────────────────────────────────────────────
+const studentsRouter = express.Router()
+
+// Toutes les routes élèves nécessitent un token valide et le rôle prof ou admin
+studentsRouter.use(authenticateToken, authorizeRoles('prof', 'admin'))
+
+studentsRouter.post('/', ensureClassAccess('owner'), async (req, res) => {
+  try {
+    const { firstname, lastname, class_id, phone, weekday } = req.body
+    const iso = normalizeToIsoWeekday(weekday)
+
+    const { rows } = await pool.query(
+      `INSERT INTO students (firstname, lastname, class_id, phone, weekday)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [firstname, lastname, class_id, phone ?? null, iso ?? null],
+    )
+
+    // Sync enrollment pour l'année scolaire courante (best-effort)
+    const { rows: years } = await pool.query(
+      'SELECT id FROM school_years WHERE is_current = true LIMIT 1',
+    )
+    if (years.length) {
+      await pool.query(
+        `INSERT INTO class_enrollments (student_id, class_id, school_year_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (student_id, class_id, school_year_id) DO NOTHING`,
+        [rows[0].id, class_id, years[0].id],
+      )
+    }
+
+    // Si l'élève a un jour spécifique, on génère ses séances pour l'année en cours
+    if (iso) await ensureSessionsForWeekday(Number(class_id), iso)
+    res.json(rows[0])
+  } catch (err) {
+    console.error('POST /api/students :', err)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+studentsRouter.get('/:classId', ensureClassAccess('viewer'), async (req, res) => {
+  try {
+    const { classId } = req.params
+    const result = await pool.query(
+      'SELECT * FROM students WHERE class_id = $1 ORDER BY lastname ASC',
+      [classId],
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('GET /api/students/:classId :', err)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+studentsRouter.delete('/:id', ensureStudentClassAccess('owner'), async (req, res) => {
+  const id = Number(req.params.id)
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id invalide' })
+  try {
+    // Les pointages partent en cascade : on les historise d'abord (même
+    // instruction, la CTE lit l'état d'avant suppression)
+    const { rows } = await pool.query(
+      `WITH gone AS (
+         DELETE FROM students WHERE id = $1 RETURNING id
+       ),
+       hist AS (
+         INSERT INTO attendance_history
+           (session_id, student_id, action, old_status, old_comment, old_minutes,
+            changed_by, changed_by_username, source)
+         SELECT a.session_id, a.student_id, 'delete', a.status, a.comment, a.minutes, $2, $3, 'student_delete'
+         FROM attendances a
+         WHERE a.student_id = $1 AND EXISTS (SELECT 1 FROM gone)
+       )
+       SELECT COUNT(*)::int AS n FROM gone`,
+      [id, req.user.id, req.user.username],
+    )
+    if (rows[0].n === 0) return res.status(404).json({ error: 'élève introuvable' })
+    return res.status(204).end()
+  } catch (err) {
+    console.error('DELETE /api/students/:id :', err)
+    return res.status(500).json({ error: 'server_error' })
+  }
+})
+
+studentsRouter.patch('/:id', ensureStudentClassAccess('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    const { phone, weekday, class_id } = req.body
+
+    const iso = weekday !== undefined ? normalizeToIsoWeekday(weekday) : undefined
+
+    const fields = []
+    const values = []
+    let index = 1
+
+    if (iso !== undefined) {
+      fields.push(`weekday = $${index}`)
+      values.push(iso ?? null)
+      index++
+    }
+    if (phone !== undefined) {
+      fields.push(`phone = $${index}`)
+      values.push(phone || null)
+      index++
+    }
+    // Changement de classe réservé aux admins
+    if (class_id !== undefined && req.user?.role === 'admin') {
+      fields.push(`class_id = $${index}`)
+      values.push(Number(class_id))
+      index++
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ message: 'Aucune donnée à mettre à jour' })
+    }
+
+    values.push(id)
+
+    const { rows } = await pool.query(
+      `UPDATE students
+         SET ${fields.join(', ')}
+       WHERE id = $${index}
+       RETURNING id, firstname, lastname, class_id, phone, weekday`,
+      values,
+    )
+
+    if (!rows.length) return res.status(404).json({ message: 'Élève introuvable' })
+
+    if (iso) await ensureSessionsForWeekday(Number(rows[0].class_id), iso)
+
+    res.json(rows[0])
+  } catch (e) {
+    console.error('PATCH /api/students/:id :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// Lien personnel de justification d'absence à transmettre à la famille.
+// ?regenerate=true invalide l'ancien lien.
+studentsRouter.get('/:id/justification-link', ensureStudentClassAccess('editor'), async (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    const regenerate = String(req.query.regenerate || 'false') === 'true'
+    const { rows } = await pool.query(
+      `UPDATE students
+         SET justification_token = CASE WHEN $2 OR justification_token IS NULL
+                                        THEN $3 ELSE justification_token END
+       WHERE id = $1
+       RETURNING justification_token`,
+      [id, regenerate, crypto.randomBytes(24).toString('base64url')],
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Élève introuvable' })
+    const appUrl = String(process.env.APP_URL || '').replace(/\/$/, '')
+    res.json({ url: `${appUrl}/justifier/${rows[0].justification_token}` })
+  } catch (e) {
+    console.error('GET /api/students/:id/justification-link :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// Historique des pointages d'un élève, toutes séances confondues. Un prof
+// ne voit que les séances des classes auxquelles il a accès.
+studentsRouter.get('/:id/attendance-history', ensureStudentClassAccess('viewer'), async (req, res) => {
+  try {
+    const params = [Number(req.params.id)]
+    const scope = req.user.role === 'admin'
+      ? ''
+      : `AND s.class_id IN (
+           SELECT id FROM classes WHERE user_id = $${params.push(req.user.id)}
+           UNION
+           SELECT class_id FROM class_users WHERE user_id = $${params.length}
+         )`
+    const { rows } = await pool.query(
+      `${HISTORY_SELECT}
+       WHERE h.student_id = $1 ${scope}
+       ORDER BY h.changed_at DESC, h.id DESC`,
+      params,
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /api/students/:id/attendance-history :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+app.use('/api/students', studentsRouter)
+
+// ─────────────────────────────────────────────────────────────
+// SESSIONS
+// ─────────────────────────────────────────────────────────────
+const sessionsRouter = express.Router()
+
+sessionsRouter.get(
+  '/:classId',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('viewer'),
+  async (req, res) => {
+    try {
+      const { classId } = req.params
+      const { rows } = await pool.query(
+        `SELECT s.id, to_char(s.date,'YYYY-MM-DD') AS date, s.status, s.note, s.closed_at, s.locked_at,
+                to_char(s.start_time, 'HH24:MI') AS start_time,
+                to_char(s.end_time, 'HH24:MI') AS end_time, s.room
+         FROM sessions s
+         JOIN school_years sy ON sy.id = s.school_year_id AND sy.is_current = true
+         WHERE s.class_id = $1
+         ORDER BY s.date`,
+        [classId],
+      )
+      res.json(rows)
+    } catch (err) {
+      console.error('GET /sessions/:classId :', err)
+      res.status(500).json({ error: 'Erreur serveur' })
+    }
+  },
+)
+
+sessionsRouter.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('owner'),
+  async (req, res) => {
+    try {
+      const { class_id, dates } = req.body
+      if (!class_id || !Array.isArray(dates) || dates.length === 0) {
+        return res.status(400).json({ error: 'Classe ou dates manquantes' })
+      }
+
+      const existingResult = await pool.query(
+        "SELECT to_char(date, 'YYYY-MM-DD') AS date FROM sessions WHERE class_id = $1",
+        [class_id],
+      )
+      const existingDates = existingResult.rows.map((row) => row.date)
+      const newDates = dates.filter((d) => !existingDates.includes(d))
+
+      if (newDates.length > 0) {
+        await pool.query(
+          `INSERT INTO sessions (class_id, date)
+           SELECT $1, unnest($2::date[])
+           ON CONFLICT (class_id, date) DO NOTHING`,
+          [class_id, newDates],
+        )
+      }
+
+      res.json([...existingDates, ...newDates].sort())
+    } catch (err) {
+      console.error('POST /sessions :', err)
+      res.status(500).json({ error: 'Erreur serveur' })
+    }
+  },
+)
+
+app.use('/sessions', sessionsRouter)
+
+// ─────────────────────────────────────────────────────────────
+// ATTENDANCE (présences)
+// ─────────────────────────────────────────────────────────────
+const SESSION_LOCKED = {
+  message: 'Séance verrouillée : pointage figé. Un administrateur peut la déverrouiller.',
+}
+
+const SESSION_CLOSED = {
+  message: 'Séance clôturée : seul le propriétaire de la classe peut encore modifier le pointage.',
+}
+
+// Une séance clôturée reste modifiable par le propriétaire de la classe
+// (et les admins) jusqu'à son verrouillage automatique ; verrouillée, par
+// personne. Renvoie { status, message } ou null si la séance est modifiable.
+function sessionFrozen(session, classRole) {
+  if (session.locked_at) return { status: 423, ...SESSION_LOCKED }
+  if (session.closed_at && classRole !== 'owner') return { status: 423, ...SESSION_CLOSED }
+  return null
+}
+
+const ATTENDANCE_STATUSES = new Set(['present', 'absent', 'excused', 'late', 'left_early'])
+const TIMED_STATUSES = new Set(['late', 'left_early'])
+const NON_POINTABLE_STATUSES = new Set(['cancelled', 'holiday', 'vacation'])
+
+// Valide le statut, le commentaire et les minutes (retard / départ
+// anticipé) d'un pointage. Renvoie les valeurs normalisées
+// { status, comment, minutes }, ou { error } avec le message client.
+function normalizeAttendance(status, comment, minutes) {
+  if (!ATTENDANCE_STATUSES.has(status)) return { error: 'Statut invalide' }
+
+  let mins = null
+  if (TIMED_STATUSES.has(status) && minutes !== undefined && minutes !== null && minutes !== '') {
+    mins = Number(minutes)
+    if (!Number.isInteger(mins) || mins < 1 || mins > 600) {
+      return { error: 'Minutes invalides (entier entre 1 et 600)' }
+    }
+  }
+
+  if (status === 'excused') {
+    if (!comment || !String(comment).trim()) return { error: 'Commentaire requis pour "excusé(e)"' }
+    return { status, comment: String(comment).trim(), minutes: null }
+  }
+  return { status, comment: null, minutes: mins }
+}
+
+// Upsert des pointages d'une séance et journalisation dans
+// attendance_history, en une seule instruction (donc atomique) : la CTE
+// `old` lit l'état d'avant modification. Seuls les changements effectifs
+// sont historisés. `actor` est l'utilisateur à l'origine du changement.
+//
+// Chaque entrée peut porter un `marked_at` (heure du pointage côté client,
+// pour la synchro hors ligne, jamais dans le futur) ; sinon c'est NOW().
+// Une ligne plus récente en base n'est pas écrasée (last-writer-wins) et
+// n'apparaît pas dans `applied`.
+async function saveAttendances(sessionId, entries, actor, source) {
+  const { rows } = await pool.query(
+    `WITH input AS (
+       SELECT t.student_id, t.status, t.comment, t.minutes,
+              COALESCE(t.marked_at, NOW()) AS marked_at
+       FROM unnest($2::int[], $3::text[], $4::text[], $5::int[], $9::timestamptz[])
+         AS t(student_id, status, comment, minutes, marked_at)
+     ),
+     old AS (
+       SELECT a.student_id, a.status, a.comment, a.minutes
+       FROM attendances a
+       JOIN input i ON i.student_id = a.student_id
+       WHERE a.session_id = $1
+     ),
+     up AS (
+       INSERT INTO attendances (student_id, session_id, status, comment, minutes, marked_at)
+       SELECT student_id, $1, status, comment, minutes, marked_at FROM input
+       ON CONFLICT (student_id, session_id)
+       DO UPDATE SET status    = EXCLUDED.status,
+                     comment   = EXCLUDED.comment,
+                     minutes   = EXCLUDED.minutes,
+                     marked_at = EXCLUDED.marked_at
+       WHERE attendances.marked_at <= EXCLUDED.marked_at
+       RETURNING student_id, status, comment, minutes
+     ),
+     hist AS (
+       INSERT INTO attendance_history
+         (session_id, student_id, action,
+          old_status, old_comment, old_minutes,
+          new_status, new_comment, new_minutes,
+          changed_by, changed_by_username, source)
+       SELECT $1, up.student_id,
+              CASE WHEN old.student_id IS NULL THEN 'create' ELSE 'update' END,
+              old.status, old.comment, old.minutes,
+              up.status, up.comment, up.minutes,
+              $6, $7, $8
+       FROM up
+       LEFT JOIN old ON old.student_id = up.student_id
+       WHERE old.student_id IS NULL
+          OR (old.status, old.comment, old.minutes) IS DISTINCT FROM (up.status, up.comment, up.minutes)
+       RETURNING student_id
+     )
+     SELECT (SELECT COUNT(*) FROM up)::int AS saved,
+            (SELECT COUNT(*) FROM hist)::int AS changed,
+            COALESCE((SELECT array_agg(student_id) FROM up), '{}') AS applied`,
+    [
+      sessionId,
+      entries.map((e) => e.student_id),
+      entries.map((e) => e.status),
+      entries.map((e) => e.comment ?? null),
+      entries.map((e) => e.minutes ?? null),
+      actor?.id ?? null,
+      actor?.username ?? null,
+      source,
+      entries.map((e) => e.marked_at ?? null),
+    ],
+  )
+  return rows[0]
+}
+
+// Supprime tous les pointages d'une séance en les historisant
+async function deleteSessionAttendances(sessionId, actor, source) {
+  const { rowCount } = await pool.query(
+    `WITH del AS (
+       DELETE FROM attendances WHERE session_id = $1
+       RETURNING student_id, status, comment, minutes
+     )
+     INSERT INTO attendance_history
+       (session_id, student_id, action, old_status, old_comment, old_minutes,
+        changed_by, changed_by_username, source)
+     SELECT $1, student_id, 'delete', status, comment, minutes, $2, $3, $4
+     FROM del`,
+    [sessionId, actor?.id ?? null, actor?.username ?? null, source],
+  )
+  return rowCount
+}
+
+// Diffusion temps réel des pointages effectivement appliqués (voir
+// realtime.js). Best-effort : une erreur ici ne fait pas échouer la requête.
+async function publishAttendances(sessionId, entries, applied) {
+  try {
+    const { rows } = await pool.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId])
+    if (!rows.length) return
+    const appliedIds = new Set((applied || []).map(Number))
+    for (const e of entries) {
+      if (!appliedIds.has(e.student_id)) continue
+      publish({
+        type: 'attendance',
+        class_id: rows[0].class_id,
+        session_id: sessionId,
+        student_id: e.student_id,
+        status: e.status,
+        comment: e.comment ?? null,
+        minutes: e.minutes ?? null,
+      })
+    }
+  } catch (e) {
+    console.error('[ws] publishAttendances :', e)
+  }
+}
+
+const HISTORY_SELECT = `
+  SELECT h.id, h.session_id, to_char(s.date, 'YYYY-MM-DD') AS session_date,
+         s.class_id, c.nom AS class_name,
+         h.student_id, st.firstname, st.lastname,
+         h.action, h.source,
+         h.old_status, h.old_comment, h.old_minutes,
+         h.new_status, h.new_comment, h.new_minutes,
+         h.changed_by, h.changed_by_username, h.changed_at
+  FROM attendance_history h
+  LEFT JOIN sessions s  ON s.id  = h.session_id
+  LEFT JOIN classes  c  ON c.id  = s.class_id
+  LEFT JOIN students st ON st.id = h.student_id`
+
+app.get(
+  '/attendance/:classId',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('viewer'),
+  async (req, res) => {
+    try {
+      const { classId } = req.params
+      const { rows } = await pool.query(
+        `SELECT a.student_id, a.session_id, a.status, a.comment, a.minutes, a.marked_at
+         FROM attendances a
+         JOIN sessions s ON s.id = a.session_id
+         WHERE s.class_id = $1`,
+        [classId],
       )
-      return res.json(result.rows)
+      res.json(rows)
+    } catch (err) {
+      console.error('GET /attendance/:classId :', err)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
-    return res.status(403).json({ message: 'Accès interdit' })
-  } catch (err) {
-    console.error('GET /api/classes :', err)
+  },
+)
+
+// Feuille d'émargement PDF d'une classe pour un mois (?month=YYYY-MM).
+// Élèves inscrits (class_enrollments) sur l'année scolaire du mois ;
+// ?blank=true donne la grille vierge à remplir à la main.
+app.get(
+  '/classes/:id/attendance-sheet',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('viewer'),
+  async (req, res) => {
+    try {
+      const classId = Number(req.params.id)
+      const month = String(req.query.month || '')
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ message: 'month invalide (YYYY-MM)' })
+      }
+      const blank = String(req.query.blank || 'false') === 'true'
+      const first = `${month}-01`
+
+      const { rows: cls } = await pool.query(
+        `SELECT c.nom, u.username AS prof
+         FROM classes c LEFT JOIN users u ON u.id = c.user_id
+         WHERE c.id = $1`,
+        [classId],
+      )
+      if (!cls.length) return res.status(404).json({ message: 'Classe introuvable' })
+
+      const { rows: sessions } = await pool.query(
+        `SELECT id, to_char(date, 'YYYY-MM-DD') AS date, status
+         FROM sessions
+         WHERE class_id = $1
+           AND date >= $2::date AND date < ($2::date + INTERVAL '1 month')
+         ORDER BY date`,
+        [classId, first],
+      )
+
+      const { rows: students } = await pool.query(
+        `SELECT s.id, s.firstname, s.lastname
+         FROM class_enrollments ce
+         JOIN students s ON s.id = ce.student_id
+         WHERE ce.class_id = $1
+           AND ce.school_year_id = (
+             SELECT id FROM school_years
+             WHERE start_date < ($2::date + INTERVAL '1 month') AND end_date >= $2::date
+             ORDER BY start_date DESC LIMIT 1
+           )
+         ORDER BY s.lastname, s.firstname`,
+        [classId, first],
+      )
+
+      const marks = {}
+      if (!blank && sessions.length) {
+        const { rows } = await pool.query(
+          `SELECT student_id, session_id, status, minutes
+           FROM attendances WHERE session_id = ANY($1::int[])`,
+          [sessions.map((s) => s.id)],
+        )
+        for (const a of rows) {
+          marks[a.student_id] ??= {}
+          marks[a.student_id][a.session_id] = { status: a.status, minutes: a.minutes }
+        }
+      }
+
+      const monthLabel = new Date(`${first}T12:00:00Z`)
+        .toLocaleDateString('fr-FR', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+      res.setHeader('Content-Type', 'application/pdf')
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="emargement-${classId}-${month}${blank ? '-vierge' : ''}.pdf"`,
+      )
+      await generateAttendanceSheetPDF(res, {
+        className: cls[0].nom,
+        profName: cls[0].prof,
+        monthLabel,
+        blank,
+        sessions,
+        students: students.map((s) => ({
+          name: `${s.lastname} ${s.firstname}`,
+          marks: marks[s.id] || {},
+        })),
+      })
+    } catch (err) {
+      console.error('GET /classes/:id/attendance-sheet :', err)
+      if (!res.headersSent) res.status(500).json({ message: 'Erreur génération PDF' })
+    }
+  },
+)
+
+// ─── Attestations de présence ──────────────────────────────────
+// Chaque attestation émise est enregistrée avec ses chiffres sous un
+// numéro aléatoire : la vérification publique renvoie ce qui a été attesté.
+const CERTIFICATE_SIGNATORY_DEFAULT = { name: 'La direction', city: 'Marpent', signature: null }
+
+const certificateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Trop de tentatives, réessayez plus tard.' },
+})
+
+// Séances tenues (passées, ni annulées/fériées/vacances, hors calendrier
+// scolaire) de chaque classe suivie par l'élève sur la période
+async function computeCertificateFigures(studentId, from, to) {
+  const { rows } = await pool.query(
+    `SELECT c.id AS class_id, c.nom AS class_name,
+            COUNT(*)::int AS held,
+            COUNT(*) FILTER (WHERE ${ATTENDED_SQL})::int AS attended,
+            COUNT(*) FILTER (WHERE a.status = 'excused')::int AS excused,
+            COUNT(*) FILTER (WHERE a.status = 'absent')::int AS absent
+     FROM sessions s
+     JOIN classes c ON c.id = s.class_id
+     LEFT JOIN attendances a ON a.session_id = s.id AND a.student_id = $1
+     WHERE s.date BETWEEN $2 AND LEAST($3::date, CURRENT_DATE)
+       AND COALESCE(s.status, 'scheduled') NOT IN ('cancelled', 'holiday', 'vacation')
+       AND NOT ${calendarDaySql('s.date')}
+       AND (
+         s.class_id = (SELECT class_id FROM students WHERE id = $1)
+         OR s.class_id IN (
+           SELECT ce.class_id FROM class_enrollments ce
+           WHERE ce.student_id = $1 AND ce.school_year_id = s.school_year_id
+         )
+       )
+     GROUP BY c.id, c.nom
+     ORDER BY c.nom`,
+    [studentId, from, to],
+  )
+  return rows
+}
+
+function frDate(ymd) {
+  const [y, m, d] = ymd.split('-')
+  return `${d}/${m}/${y}`
+}
+
+// GET /api/students/:id/attendance-certificate
+//   ?school_year_id=Y  ou  ?from=YYYY-MM-DD&to=YYYY-MM-DD  (défaut : année courante)
+studentsRouter.get('/:id/attendance-certificate', ensureStudentClassAccess('viewer'), async (req, res) => {
+  try {
+    const studentId = Number(req.params.id)
+    const { school_year_id, from, to } = req.query
+    const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ''))
+
+    let period
+    if (from || to) {
+      if (!isYmd(from) || !isYmd(to) || from > to) {
+        return res.status(400).json({ message: 'Période invalide (from et to au format YYYY-MM-DD)' })
+      }
+      period = { from, to, label: `du ${frDate(from)} au ${frDate(to)}` }
+    } else {
+      const yearId = school_year_id ? Number(school_year_id) : null
+      if (school_year_id && !Number.isInteger(yearId)) {
+        return res.status(400).json({ message: 'school_year_id invalide' })
+      }
+      const { rows } = await pool.query(
+        `SELECT label, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+                to_char(end_date, 'YYYY-MM-DD') AS end_date
+         FROM school_years
+         WHERE ${yearId ? 'id = $1' : 'is_current = true'}
+         LIMIT 1`,
+        yearId ? [yearId] : [],
+      )
+      if (!rows.length) return res.status(404).json({ message: 'Année scolaire introuvable' })
+      period = {
+        from: rows[0].start_date,
+        to: rows[0].end_date,
+        label: `durant l'annee scolaire ${rows[0].label}`,
+      }
+    }
+
+    const { rows: st } = await pool.query(
+      'SELECT firstname, lastname FROM students WHERE id = $1',
+      [studentId],
+    )
+    if (!st.length) return res.status(404).json({ message: 'Élève introuvable' })
+
+    const classes = await computeCertificateFigures(studentId, period.from, period.to)
+    if (!classes.length) return res.status(404).json({ message: 'Aucune séance tenue sur la période' })
+
+    const number = `ATT-${new Date().getFullYear()}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`
+    const { rows: cert } = await pool.query(
+      `INSERT INTO attendance_certificates (number, student_id, date_from, date_to, figures, issued_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING to_char(issued_at AT TIME ZONE 'Europe/Paris', 'DD/MM/YYYY') AS issued_on`,
+      [number, studentId, period.from, period.to, JSON.stringify(classes), req.user.id],
+    )
+
+    const signatory = await getSetting('certificate_signatory', CERTIFICATE_SIGNATORY_DEFAULT)
+    const appUrl = String(process.env.APP_URL || '').replace(/\/$/, '')
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `inline; filename="attestation-${number}.pdf"`)
+    await generateAttendanceCertificatePDF(res, {
+      number,
+      studentName: `${st[0].firstname} ${st[0].lastname}`,
+      periodLabel: period.label,
+      verifyUrl: appUrl ? `${appUrl}/attestation/${number}` : null,
+      classes,
+      faita: signatory.city,
+      dateAcceptation: cert[0].issued_on,
+      signataire: signatory.name,
+      signature: signatory.signature,
+    })
+  } catch (e) {
+    console.error('GET /api/students/:id/attendance-certificate :', e)
+    if (!res.headersSent) res.status(500).json({ message: 'Erreur génération attestation' })
+  }
+})
+
+// Vérification d'une attestation par son numéro (organisme destinataire)
+app.get('/api/public/certificates/:number', certificateLimiter, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ac.number, st.firstname, left(st.lastname, 1) AS lastname_initial,
+              to_char(ac.date_from, 'YYYY-MM-DD') AS date_from,
+              to_char(ac.date_to,   'YYYY-MM-DD') AS date_to,
+              ac.figures, ac.issued_at
+       FROM attendance_certificates ac
+       JOIN students st ON st.id = ac.student_id
+       WHERE ac.number = $1`,
+      [String(req.params.number).toUpperCase()],
+    )
+    if (!rows.length) return res.status(404).json({ valid: false, message: 'Attestation inconnue' })
+    const { figures, ...cert } = rows[0]
+    res.json({
+      valid: true,
+      ...cert,
+      classes: figures.map(({ class_name, held, attended, excused }) => ({ class_name, held, attended, excused })),
+    })
+  } catch (e) {
+    console.error('GET /api/public/certificates/:number :', e)
     res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-classesRouter.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params
-    const { rows } = await pool.query(
-      'SELECT id, nom AS name, weekday FROM classes WHERE id = $1',
-      [id],
+admin.get('/settings/certificates', async (_req, res) => {
+  try {
+    res.json(await getSetting('certificate_signatory', CERTIFICATE_SIGNATORY_DEFAULT))
+  } catch (e) {
+    console.error('GET /api/admin/settings/certificates :', e)
+    res.status(500).json({ message: 'Erreur chargement paramètres' })
+  }
+})
+
+// { name, city, signature? (data URL d'image, null pour la retirer) }
+admin.patch('/settings/certificates', async (req, res) => {
+  try {
+    const current = await getSetting('certificate_signatory', CERTIFICATE_SIGNATORY_DEFAULT)
+    const next = { ...CERTIFICATE_SIGNATORY_DEFAULT, ...current }
+    const { name, city, signature } = req.body || {}
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Nom du signataire requis' })
+      next.name = String(name).trim().slice(0, 150)
+    }
+    if (city !== undefined) next.city = String(city).trim().slice(0, 100)
+    if (signature !== undefined) {
+      if (signature !== null && !/^data:image\/(png|jpeg);base64,/.test(String(signature))) {
+        return res.status(400).json({ message: 'Signature invalide (image PNG ou JPEG)' })
+      }
+      next.signature = signature
+    }
+    await setSetting('certificate_signatory', next)
+    res.json(next)
+  } catch (e) {
+    console.error('PATCH /api/admin/settings/certificates :', e)
+    res.status(500).json({ message: 'Erreur mise à jour paramètres' })
+  }
+})
+
+// ─── Export tableur de la grille de présences ──────────────────
+const EXPORT_STATUS_LABELS = {
+  present: 'Présent',
+  absent: 'Absent',
+  excused: 'Excusé',
+  late: 'Retard',
+  left_early: 'Départ anticipé',
+}
+const EXPORT_CLOSED_LABELS = { cancelled: 'Annulée', holiday: 'Férié', vacation: 'Vacances' }
+
+// Grille élèves × dates de séance pour une année scolaire, éventuellement
+// restreinte à une classe et à une période. Élèves : inscrits de l'année
+// (class_enrollments) et tout élève pointé sur ces séances.
+async function buildAttendanceGrid({ schoolYearId, classId = null, from = null, to = null }) {
+  const params = [schoolYearId, classId, from, to]
+  const filter = `
+    s.school_year_id = $1
+    AND ($2::int IS NULL OR s.class_id = $2)
+    AND ($3::date IS NULL OR s.date >= $3)
+    AND ($4::date IS NULL OR s.date <= $4)`
+
+  const { rows: sessions } = await pool.query(
+    `SELECT s.id, s.class_id, to_char(s.date, 'YYYY-MM-DD') AS date, s.status
+     FROM sessions s WHERE ${filter} ORDER BY s.date`,
+    params,
+  )
+  const { rows: students } = await pool.query(
+    `SELECT DISTINCT c.id AS class_id, c.nom AS class_name, st.id, st.firstname, st.lastname
+     FROM (
+       SELECT ce.class_id, ce.student_id FROM class_enrollments ce
+       WHERE ce.school_year_id = $1 AND ($2::int IS NULL OR ce.class_id = $2)
+       UNION
+       SELECT s.class_id, a.student_id
+       FROM attendances a JOIN sessions s ON s.id = a.session_id
+       WHERE ${filter}
+     ) t
+     JOIN classes  c  ON c.id  = t.class_id
+     JOIN students st ON st.id = t.student_id
+     ORDER BY c.nom, st.lastname, st.firstname`,
+    params,
+  )
+  const { rows: marks } = await pool.query(
+    `SELECT a.student_id, a.session_id, a.status, a.minutes
+     FROM attendances a JOIN sessions s ON s.id = a.session_id
+     WHERE ${filter}`,
+    params,
+  )
+
+  const dates = [...new Set(sessions.map((s) => s.date))]
+  const sessionAt = new Map(sessions.map((s) => [`${s.class_id}:${s.date}`, s]))
+  const markOf = new Map(marks.map((m) => [`${m.student_id}:${m.session_id}`, m]))
+
+  const header = ['Classe', 'Nom', 'Prénom', ...dates.map(frDate), 'Présences', 'Absences', 'Excusées']
+  const rows = students.map((st) => {
+    const count = { attended: 0, absent: 0, excused: 0 }
+    const cells = dates.map((d) => {
+      const session = sessionAt.get(`${st.class_id}:${d}`)
+      if (!session) return ''
+      if (EXPORT_CLOSED_LABELS[session.status]) return EXPORT_CLOSED_LABELS[session.status]
+      const m = markOf.get(`${st.id}:${session.id}`)
+      if (!m) return ''
+      if (m.status === 'absent') count.absent++
+      else if (m.status === 'excused') count.excused++
+      else count.attended++
+      return EXPORT_STATUS_LABELS[m.status] + (m.minutes ? ` (${m.minutes} min)` : '')
+    })
+    return [st.class_name, st.lastname, st.firstname, ...cells, count.attended, count.absent, count.excused]
+  })
+  return [header, ...rows]
+}
+
+// Lit ?format, ?school_year_id (défaut : année courante), ?from, ?to.
+// Renvoie les paramètres normalisés ou { error }.
+async function parseExportQuery(query) {
+  const format = String(query.format || 'csv')
+  if (!['csv', 'xlsx'].includes(format)) return { error: 'format invalide (csv ou xlsx)' }
+  const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v))
+  if ((query.from && !isYmd(query.from)) || (query.to && !isYmd(query.to))) {
+    return { error: 'Dates invalides (YYYY-MM-DD)' }
+  }
+  const yearId = query.school_year_id ? Number(query.school_year_id) : null
+  if (query.school_year_id && !Number.isInteger(yearId)) return { error: 'school_year_id invalide' }
+  const { rows } = await pool.query(
+    `SELECT id, label FROM school_years
+     WHERE ${yearId ? 'id = $1' : 'is_current = true'} LIMIT 1`,
+    yearId ? [yearId] : [],
+  )
+  if (!rows.length) return { error: 'Année scolaire introuvable', status: 404 }
+  return { format, year: rows[0], from: query.from || null, to: query.to || null }
+}
+
+function sendGrid(res, format, basename, grid) {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.xlsx"`)
+    return res.send(toXlsx('Présences', grid))
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}.csv"`)
+  res.send(toCsv(grid))
+}
+
+// GET /classes/:id/attendance-export?format=csv|xlsx&school_year_id=&from=&to=
+app.get(
+  '/classes/:id/attendance-export',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('viewer'),
+  async (req, res) => {
+    try {
+      const classId = Number(req.params.id)
+      const q = await parseExportQuery(req.query)
+      if (q.error) return res.status(q.status || 400).json({ message: q.error })
+      const grid = await buildAttendanceGrid({ schoolYearId: q.year.id, classId, from: q.from, to: q.to })
+      sendGrid(res, q.format, `presences-classe-${classId}-${q.year.label}`, grid)
+    } catch (e) {
+      console.error('GET /classes/:id/attendance-export :', e)
+      res.status(500).json({ message: 'Erreur export' })
+    }
+  },
+)
+
+// Export toutes classes confondues d'une année scolaire (admin)
+// GET /api/admin/attendance-export?school_year_id=Y&format=csv|xlsx[&from=&to=]
+admin.get('/attendance-export', async (req, res) => {
+  try {
+    if (!req.query.school_year_id) return res.status(400).json({ message: 'school_year_id requis' })
+    const q = await parseExportQuery(req.query)
+    if (q.error) return res.status(q.status || 400).json({ message: q.error })
+    const grid = await buildAttendanceGrid({ schoolYearId: q.year.id, from: q.from, to: q.to })
+    sendGrid(res, q.format, `presences-${q.year.label}`, grid)
+  } catch (e) {
+    console.error('GET /api/admin/attendance-export :', e)
+    res.status(500).json({ message: 'Erreur export' })
+  }
+})
+
+app.post(
+  '/attendance',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureSessionAccess('editor'),
+  async (req, res) => {
+    try {
+      let { student_id, session_id, status, comment, minutes } = req.body
+      student_id = Number(student_id)
+      session_id = Number(session_id)
+
+      if (!student_id || !session_id || !status) {
+        return res.status(400).json({ message: 'Paramètres manquants' })
+      }
+
+      const normalized = normalizeAttendance(status, comment, minutes)
+      if (normalized.error) return res.status(400).json({ message: normalized.error })
+      comment = normalized.comment
+      minutes = normalized.minutes
+
+      const fk = await pool.query(
+        `SELECT
+           (SELECT 1 FROM students WHERE id = $1) AS has_student,
+           (SELECT 1 FROM sessions  WHERE id = $2) AS has_session`,
+        [student_id, session_id],
+      )
+      if (!fk.rows[0].has_student) return res.status(400).json({ message: 'Élève introuvable' })
+      if (!fk.rows[0].has_session) return res.status(400).json({ message: 'Session introuvable' })
+
+      const { rows: sRows } = await pool.query(
+        'SELECT status, closed_at, locked_at FROM sessions WHERE id=$1',
+        [session_id],
+      )
+      if (!sRows.length) return res.status(404).json({ message: 'Séance introuvable' })
+      const frozen = sessionFrozen(sRows[0], req.classRole)
+      if (frozen) return res.status(frozen.status).json({ message: frozen.message })
+
+      if (NON_POINTABLE_STATUSES.has(sRows[0].status)) {
+        return res.status(409).json({
+          message: "Pointage interdit : cette séance n'est pas tenable (annulée/férié/vacances).",
+        })
+      }
+
+      const entries = [{ student_id, status, comment, minutes }]
+      const { applied } = await saveAttendances(session_id, entries, req.user, 'manual')
+      publishAttendances(session_id, entries, applied)
+      res.json({ message: 'Présence enregistrée' })
+    } catch (err) {
+      if (err.code === '23514') {
+        return res.status(400).json({ message: 'Commentaire requis pour "excusé(e)"' })
+      }
+      console.error('POST /attendance :', err)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
+  },
+)
+
+// Pointage d'une séance entière en une requête. Toutes les lignes sont
+// validées d'abord ; s'il y a la moindre erreur rien n'est enregistré et
+// les erreurs sont renvoyées par élève. Sinon l'upsert est fait en une
+// seule instruction SQL, donc en tout ou rien.
+app.post(
+  '/attendance/bulk',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureSessionAccess('editor'),
+  async (req, res) => {
+    try {
+      const session_id = Number(req.body.session_id)
+      const { entries } = req.body
+      if (!session_id || !Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ message: 'session_id et entries requis' })
+      }
+      if (entries.length > 500) {
+        return res.status(400).json({ message: 'Trop de pointages dans une seule requête (500 max)' })
+      }
+
+      const { rows: sRows } = await pool.query(
+        'SELECT status, closed_at, locked_at FROM sessions WHERE id=$1',
+        [session_id],
+      )
+      if (!sRows.length) return res.status(404).json({ message: 'Séance introuvable' })
+      const frozen = sessionFrozen(sRows[0], req.classRole)
+      if (frozen) return res.status(frozen.status).json({ message: frozen.message })
+      if (NON_POINTABLE_STATUSES.has(sRows[0].status)) {
+        return res.status(409).json({
+          message: "Pointage interdit : cette séance n'est pas tenable (annulée/férié/vacances).",
+        })
+      }
+
+      const requestedIds = entries
+        .map((e) => Number(e?.student_id))
+        .filter((id) => Number.isInteger(id) && id > 0)
+      const { rows: known } = await pool.query(
+        'SELECT id FROM students WHERE id = ANY($1::int[])',
+        [requestedIds],
+      )
+      const knownIds = new Set(known.map((r) => r.id))
+
+      const errors = []
+      const valid = []
+      const seen = new Set()
+      entries.forEach((entry, index) => {
+        const studentId = Number(entry?.student_id)
+        const fail = (message) => errors.push({ index, student_id: entry?.student_id ?? null, message })
+        if (!Number.isInteger(studentId) || studentId <= 0) return fail('student_id invalide')
+        if (seen.has(studentId)) return fail('Élève présent plusieurs fois')
+        seen.add(studentId)
+        if (!knownIds.has(studentId)) return fail('Élève introuvable')
+        const normalized = normalizeAttendance(entry.status, entry.comment, entry.minutes)
+        if (normalized.error) return fail(normalized.error)
+        valid.push({ student_id: studentId, ...normalized })
+      })
+
+      if (errors.length) {
+        return res.status(400).json({
+          message: `${errors.length} pointage(s) invalide(s) : rien n'a été enregistré`,
+          errors,
+        })
+      }
+
+      const { applied } = await saveAttendances(session_id, valid, req.user, 'bulk')
+      publishAttendances(session_id, valid, applied)
+      res.json({ message: `${valid.length} présence(s) enregistrée(s)`, saved: valid.length })
+    } catch (err) {
+      console.error('POST /attendance/bulk :', err)
+      res.status(500).json({ message: 'Erreur serveur' })
+    }
+  },
+)
+
+// Synchronisation hors ligne : l'appli rejoue un lot d'opérations de
+// pointage horodatées côté client ({ op_id, session_id, student_id, status,
+// comment, minutes, client_ts, base_marked_at }). Règle : last-writer-wins
+// sur l'horodatage du pointage. Il y a conflit quand la ligne a changé en
+// base depuis la version connue du client (base_marked_at) ; la réponse
+// indique alors qui l'a emporté et la valeur serveur. On renvoie aussi
+// l'état de référence des séances touchées.
+const SYNC_MAX_OPS = 1000
+const SYNC_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+app.post('/attendance/sync', authenticateToken, authorizeRoles('prof', 'admin'), async (req, res) => {
+  try {
+    const { operations } = req.body || {}
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ message: 'operations requis' })
+    }
+    if (operations.length > SYNC_MAX_OPS) {
+      return res.status(400).json({ message: `Trop d'opérations dans un seul lot (${SYNC_MAX_OPS} max)` })
+    }
+
+    const now = Date.now()
+    const results = operations.map((op, index) => ({
+      index,
+      op_id: op?.op_id ?? null,
+      session_id: Number(op?.session_id) || null,
+      student_id: Number(op?.student_id) || null,
+    }))
+    const reject = (r, message) => Object.assign(r, { result: 'rejected', message })
+
+    // 1. Validation unitaire + horodatage
+    const candidates = []
+    operations.forEach((op, index) => {
+      const r = results[index]
+      if (!Number.isInteger(r.session_id) || !Number.isInteger(r.student_id)) {
+        return reject(r, 'session_id / student_id invalides')
+      }
+      const ts = Date.parse(op.client_ts)
+      if (Number.isNaN(ts)) return reject(r, 'client_ts invalide')
+      if (ts > now + SYNC_MAX_CLOCK_SKEW_MS) return reject(r, 'client_ts dans le futur')
+      const normalized = normalizeAttendance(op.status, op.comment, op.minutes)
+      if (normalized.error) return reject(r, normalized.error)
+      candidates.push({
+        r,
+        ts,
+        base: op.base_marked_at ? Date.parse(op.base_marked_at) : null,
+        entry: {
+          student_id: r.student_id,
+          ...normalized,
+          marked_at: new Date(Math.min(ts, now)).toISOString(),
+        },
+      })
+    })
+
+    // 2. Plusieurs opérations sur le même élève/séance : seule la plus récente compte
+    const latest = new Map()
+    for (const c of candidates) {
+      const key = `${c.r.session_id}:${c.r.student_id}`
+      const prev = latest.get(key)
+      if (!prev || c.ts >= prev.ts) {
+        if (prev) Object.assign(prev.r, { result: 'superseded' })
+        latest.set(key, c)
+      } else {
+        Object.assign(c.r, { result: 'superseded' })
+      }
+    }
+
+    // 3. Séances : existence, droits (editor), statut pointable
+    const sessionIds = [...new Set([...latest.values()].map((c) => c.r.session_id))]
+    const { rows: sessionRows } = await pool.query(
+      'SELECT id, class_id, status, closed_at, locked_at FROM sessions WHERE id = ANY($1::int[])',
+      [sessionIds],
+    )
+    const sessionsById = new Map(sessionRows.map((s) => [s.id, s]))
+    const classRoles = new Map()
+    for (const s of sessionRows) {
+      if (req.user.role === 'admin' || classRoles.has(s.class_id)) continue
+      classRoles.set(s.class_id, await getClassRole(s.class_id, req.user.id))
+    }
+    const { rows: studentRows } = await pool.query(
+      'SELECT id FROM students WHERE id = ANY($1::int[])',
+      [[...latest.values()].map((c) => c.r.student_id)],
+    )
+    const knownStudents = new Set(studentRows.map((s) => s.id))
+
+    const bySession = new Map()
+    for (const c of latest.values()) {
+      const session = sessionsById.get(c.r.session_id)
+      if (!session) { reject(c.r, 'Séance introuvable'); continue }
+      const role = req.user.role === 'admin' ? 'owner' : classRoles.get(session.class_id)
+      if (!role || CLASS_ROLE_RANK[role] < CLASS_ROLE_RANK.editor) {
+        reject(c.r, 'Droits insuffisants sur cette classe')
+        continue
+      }
+      const frozen = sessionFrozen(session, role)
+      if (frozen) { reject(c.r, frozen.message); continue }
+      if (NON_POINTABLE_STATUSES.has(session.status)) {
+        reject(c.r, "Séance non tenable (annulée/férié/vacances)")
+        continue
+      }
+      if (!knownStudents.has(c.r.student_id)) { reject(c.r, 'Élève introuvable'); continue }
+      if (!bySession.has(session.id)) bySession.set(session.id, [])
+      bySession.get(session.id).push(c)
+    }
+
+    // 4. État serveur avant écriture, pour signaler les conflits
+    const touched = [...bySession.keys()]
+    const { rows: before } = await pool.query(
+      `SELECT session_id, student_id, status, comment, minutes, marked_at
+       FROM attendances WHERE session_id = ANY($1::int[])`,
+      [touched],
+    )
+    const current = new Map(before.map((a) => [`${a.session_id}:${a.student_id}`, a]))
+
+    // 5. Application, séance par séance
+    for (const [sessionId, list] of bySession) {
+      const entries = list.map((c) => c.entry)
+      const { applied } = await saveAttendances(sessionId, entries, req.user, 'sync')
+      publishAttendances(sessionId, entries, applied)
+      const appliedIds = new Set(applied.map(Number))
+      for (const c of list) {
+        const server = current.get(`${sessionId}:${c.r.student_id}`)
+        const won = appliedIds.has(c.r.student_id)
+        c.r.result = won ? 'applied' : 'skipped'
+        const changedSinceBase = server && (c.base === null || new Date(server.marked_at).getTime() !== c.base)
+        const differs = server && (server.status !== c.entry.status || server.comment !== c.entry.comment
+          || server.minutes !== c.entry.minutes)
+        if (changedSinceBase && differs) {
+          c.r.conflict = {
+            resolution: won ? 'client' : 'server',
+            server: { status: server.status, comment: server.comment, minutes: server.minutes, marked_at: server.marked_at },
+          }
+        }
+      }
+    }
+
+    // 6. État de référence des séances touchées, limité à celles que
+    // l'utilisateur peut consulter (au moins viewer)
+    const visible = sessionIds.filter((id) => {
+      const session = sessionsById.get(id)
+      if (!session) return false
+      return req.user.role === 'admin' || classRoles.get(session.class_id) != null
+    })
+    const { rows: sessions } = await pool.query(
+      `SELECT s.id, to_char(s.date, 'YYYY-MM-DD') AS date, s.status,
+              COALESCE(
+                json_agg(json_build_object(
+                  'student_id', a.student_id, 'status', a.status, 'comment', a.comment,
+                  'minutes', a.minutes, 'marked_at', a.marked_at
+                ) ORDER BY a.student_id) FILTER (WHERE a.student_id IS NOT NULL),
+                '[]'
+              ) AS attendances
+       FROM sessions s
+       LEFT JOIN attendances a ON a.session_id = s.id
+       WHERE s.id = ANY($1::int[])
+       GROUP BY s.id
+       ORDER BY s.date`,
+      [visible],
     )
-    if (!rows.length) return res.status(404).json({ message: 'Classe introuvable' })
-    res.json(rows[0])
+
+    res.json({
+      results,
+      conflicts: results.filter((r) => r.conflict).length,
+      sessions,
+    })
   } catch (e) {
-    console.error('GET /api/classes/:id :', e)
+    console.error('POST /attendance/sync :', e)
     res.status(500).json({ message: 'Erreur serveur' })
   }
 })
 
-app.use('/api/classes', classesRouter)
-
-// Met à jour le jour de cours de la classe et génère les séances manquantes
+// Met à jour le statut d'une séance. Si le nouveau statut est non-pointable
+// et que des présences existent, ?force=true est requis pour les supprimer.
 app.patch(
-  ['/api/classes/:id/weekday', '/classes/:id/weekday'],
+  '/sessions/:id/status',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
+  ensureSessionAccess('editor'),
   async (req, res) => {
     try {
-      const classId = Number(req.params.id)
-      const iso = normalizeToIsoWeekday(req.body.weekday)
-      if (!iso) return res.status(400).json({ message: 'weekday invalide' })
-
-      await pool.query('UPDATE classes SET weekday=$1 WHERE id=$2', [iso, classId])
+      const id = Number(req.params.id)
+      const { status, note } = req.body ?? {}
+      const force = String(req.query.force || 'false') === 'true'
 
-      const sy = Number.isInteger(req.body.startYear) ? req.body.startYear : schoolStartYear()
-      const start = utcNoon(sy, 8, 1)
-      const end = utcNoon(sy + 1, 6, 14)
-      const dates = enumerateDatesByWeekday(start, end, iso)
+      const allowed = new Set(['scheduled', 'cancelled', 'holiday', 'vacation', 'extra'])
+      if (!allowed.has(status)) return res.status(400).json({ message: 'Statut invalide' })
 
-      await pool.query(
-        `INSERT INTO sessions (class_id, date)
-         SELECT $1, unnest($2::date[])
-         ON CONFLICT (class_id, date) DO NOTHING`,
-        [classId, dates],
+      const { rows: current } = await pool.query(
+        'SELECT class_id, closed_at, locked_at FROM sessions WHERE id = $1',
+        [id],
       )
+      if (!current.length) return res.status(404).json({ message: 'Séance introuvable' })
+      const frozen = sessionFrozen(current[0], req.classRole)
+      if (frozen) return res.status(frozen.status).json({ message: frozen.message })
 
-      const { rows } = await pool.query(
-        "SELECT id, to_char(date,'YYYY-MM-DD') AS date, status, note FROM sessions WHERE class_id=$1 ORDER BY date",
-        [classId],
+      let cleared = 0
+      if (NON_POINTABLE_STATUSES.has(status)) {
+        const { rows: cnt } = await pool.query(
+          'SELECT COUNT(*)::int AS n FROM attendances WHERE session_id=$1',
+          [id],
+        )
+        if (cnt[0].n > 0 && !force) {
+          return res.status(409).json({
+            message: 'Des pointages existent pour cette séance. Confirmez avec ?force=true pour les supprimer.',
+            existing: cnt[0].n,
+          })
+        }
+        if (cnt[0].n > 0 && force) {
+          cleared = await deleteSessionAttendances(id, req.user, 'session_status')
+        }
+      }
+
+      const { rows, rowCount } = await pool.query(
+        `UPDATE sessions
+           SET status = $1,
+               note   = $2
+         WHERE id = $3
+         RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note`,
+        [status, note ?? null, id],
       )
-      res.json(rows)
+
+      if (rowCount === 0) return res.status(404).json({ message: 'Séance introuvable' })
+      publish({
+        type: 'session_status',
+        class_id: current[0].class_id,
+        session_id: id,
+        status: rows[0].status,
+        note: rows[0].note,
+        attendances_cleared: cleared,
+      })
+      return res.json(rows[0])
     } catch (e) {
-      console.error('PATCH weekday :', e)
-      res.status(500).json({ message: 'Erreur mise à jour du jour de classe' })
+      console.error('PATCH /sessions/:id/status :', e)
+      res.status(500).json({ message: 'Erreur mise à jour statut' })
     }
   },
 )
 
-// Route legacy : génère les séances d'une classe pour l'année scolaire active
+// Clôture d'une séance : ses pointages et son statut sont figés, sauf pour
+// le propriétaire de la classe, jusqu'au verrouillage automatique N jours
+// plus tard (cf. autoLockSessions)
 app.post(
-  '/classes/:id/generate-sessions',
+  '/sessions/:id/close',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
+  ensureSessionAccess('editor'),
   async (req, res) => {
     try {
-      const classId = Number(req.params.id)
-      if (!Number.isInteger(classId)) return res.status(400).json({ message: 'classId invalide' })
-
-      const cl = await pool.query('SELECT id, weekday FROM classes WHERE id = $1', [classId])
-      if (!cl.rows[0]) return res.status(404).json({ message: 'Classe introuvable' })
-
-      let isoWeekday = normalizeToIsoWeekday(req.body?.weekday)
-      if (isoWeekday == null) isoWeekday = normalizeToIsoWeekday(cl.rows[0].weekday)
-      if (isoWeekday == null) return res.status(400).json({ message: 'Jour de cours requis (weekday)' })
-
-      if (cl.rows[0].weekday !== isoWeekday) {
-        await pool.query('UPDATE classes SET weekday = $1 WHERE id = $2', [isoWeekday, classId])
-      }
-
-      const { start, end } = getActiveSchoolYear()
-      const allDates = enumerateDatesByWeekday(start, end, isoWeekday)
-
-      await pool.query(
-        `INSERT INTO sessions (class_id, date)
-         SELECT $1, unnest($2::date[])
-         ON CONFLICT (class_id, date) DO NOTHING`,
-        [classId, allDates],
+      const id = Number(req.params.id)
+      const { rows } = await pool.query(
+        `UPDATE sessions SET closed_at = NOW(), closed_by = $2
+         WHERE id = $1 AND closed_at IS NULL AND locked_at IS NULL
+         RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note, closed_at, locked_at`,
+        [id, req.user.id],
       )
+      if (!rows.length) return res.status(409).json({ message: 'Séance déjà clôturée' })
+      await logSessionLock(id, 'close', req.user, null)
+      res.json(rows[0])
+    } catch (e) {
+      console.error('POST /sessions/:id/close :', e)
+      res.status(500).json({ message: 'Erreur clôture séance' })
+    }
+  },
+)
 
+// Historique des pointages d'une séance (qui a changé quoi, quand)
+app.get(
+  '/sessions/:id/attendance-history',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureSessionAccess('viewer'),
+  async (req, res) => {
+    try {
       const { rows } = await pool.query(
-        "SELECT id, to_char(date,'YYYY-MM-DD') AS date, status, note FROM sessions WHERE class_id=$1 ORDER BY date",
-        [classId],
+        `${HISTORY_SELECT}
+         WHERE h.session_id = $1
+         ORDER BY h.changed_at DESC, h.id DESC`,
+        [Number(req.params.id)],
       )
       res.json(rows)
     } catch (e) {
-      console.error('POST /classes/:id/generate-sessions :', e)
-      res.status(500).json({ message: 'Erreur génération sessions' })
+      console.error('GET /sessions/:id/attendance-history :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
-// ─────────────────────────────────────────────────────────────
-// STUDENTS
-// ─────────────────────────────────────────────────────────────
-const studentsRouter = express.Router()
-
-// Toutes les routes élèves nécessitent un token valide et le rôle prof ou admin
-studentsRouter.use(authenticateToken, authorizeRoles('prof', 'admin'))
-
-studentsRouter.post('/', ensureClassAccess, async (req, res) => {
-  try {
-    const { firstname, lastname, class_id, phone, weekday } = req.body
-    const iso = normalizeToIsoWeekday(weekday)
-
-    const { rows } = await pool.query(
-      `INSERT INTO students (firstname, lastname, class_id, phone, weekday)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [firstname, lastname, class_id, phone ?? null, iso ?? null],
-    )
-
-    // Sync enrollment pour l'année scolaire courante (best-effort)
-    const { rows: years } = await pool.query(
-      'SELECT id FROM school_years WHERE is_current = true LIMIT 1',
-    )
-    if (years.length) {
-      await pool.query(
-        `INSERT INTO class_enrollments (student_id, class_id, school_year_id)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (student_id, class_id, school_year_id) DO NOTHING`,
-        [rows[0].id, class_id, years[0].id],
+// ─── Justificatifs d'absence : consultation et validation ─────
+const JUSTIFICATION_SELECT = `
+  SELECT j.id, j.student_id, st.firstname, st.lastname, c.id AS class_id, c.nom AS class_name,
+         to_char(j.date_from, 'YYYY-MM-DD') AS date_from,
+         to_char(j.date_to,   'YYYY-MM-DD') AS date_to,
+         j.reason, j.status, j.submitted_via, j.created_at,
+         (j.document_filename IS NOT NULL) AS has_document,
+         j.reviewed_by, j.reviewed_at, j.review_comment
+  FROM absence_justifications j
+  JOIN students st ON st.id = j.student_id
+  LEFT JOIN classes c ON c.id = st.class_id`
+
+// Résout la classe de l'élève concerné puis délègue à ensureClassAccess.
+function ensureJustificationAccess(minRole = 'viewer') {
+  const checkClass = ensureClassAccess(minRole)
+  return async (req, res, next) => {
+    try {
+      const id = Number(req.params.id)
+      if (!Number.isInteger(id)) return res.status(400).json({ message: 'id invalide' })
+      const { rows } = await pool.query(
+        `SELECT st.class_id FROM absence_justifications j
+         JOIN students st ON st.id = j.student_id
+         WHERE j.id = $1`,
+        [id],
       )
+      if (!rows.length) return res.status(404).json({ message: 'Justificatif introuvable' })
+      // Élève sorti de toute classe : seul un admin peut encore traiter
+      if (rows[0].class_id == null && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Élève rattaché à aucune classe' })
+      }
+      req.params.classId = String(rows[0].class_id)
+      return checkClass(req, res, next)
+    } catch (e) {
+      console.error('ensureJustificationAccess', e)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
-
-    // Si l'élève a un jour spécifique, on génère ses séances pour l'année en cours
-    if (iso) await ensureSessionsForWeekday(Number(class_id), iso)
-    res.json(rows[0])
-  } catch (err) {
-    console.error('POST /api/students :', err)
-    res.status(500).json({ message: 'Erreur serveur' })
-  }
-})
-
-studentsRouter.get('/:classId', ensureClassAccess, async (req, res) => {
-  try {
-    const { classId } = req.params
-    const result = await pool.query(
-      'SELECT * FROM students WHERE class_id = $1 ORDER BY lastname ASC',
-      [classId],
-    )
-    res.json(result.rows)
-  } catch (err) {
-    console.error('GET /api/students/:classId :', err)
-    res.status(500).json({ message: 'Erreur serveur' })
-  }
-})
-
-studentsRouter.delete('/:id', ensureStudentClassAccess, async (req, res) => {
-  const id = Number(req.params.id)
-  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id invalide' })
-  try {
-    const { rowCount } = await pool.query('DELETE FROM students WHERE id=$1', [id])
-    if (rowCount === 0) return res.status(404).json({ error: 'élève introuvable' })
-    return res.status(204).end()
-  } catch (err) {
-    console.error('DELETE /api/students/:id :', err)
-    return res.status(500).json({ error: 'server_error' })
-  }
-})
-
-studentsRouter.patch('/:id', ensureStudentClassAccess, async (req, res) => {
-  try {
-    const id = Number(req.params.id)
-    const { phone, weekday, class_id } = req.body
-
-    const iso = weekday !== undefined ? normalizeToIsoWeekday(weekday) : undefined
-
-    const fields = []
-    const values = []
-    let index = 1
-
-    if (iso !== undefined) {
-      fields.push(`weekday = $${index}`)
-      values.push(iso ?? null)
-      index++
-    }
-    if (phone !== undefined) {
-      fields.push(`phone = $${index}`)
-      values.push(phone || null)
-      index++
-    }
-    // Changement de classe réservé aux admins
-    if (class_id !== undefined && req.user?.role === 'admin') {
-      fields.push(`class_id = $${index}`)
-      values.push(Number(class_id))
-      index++
-    }
-
-    if (fields.length === 0) {
-      return res.status(400).json({ message: 'Aucune donnée à mettre à jour' })
-    }
-
-    values.push(id)
-
-    const { rows } = await pool.query(
-      `UPDATE students
-         SET ${fields.join(', ')}
-       WHERE id = $${index}
-       RETURNING id, firstname, lastname, class_id, phone, weekday`,
-      values,
-    )
-
-    if (!rows.length) return res.status(404).json({ message: 'Élève introuvable' })
-
-    if (iso) await ensureSessionsForWeekday(Number(rows[0].class_id), iso)
-
-    res.json(rows[0])
-  } catch (e) {
-    console.error('PATCH /api/students/:id :', e)
-    res.status(500).json({ message: 'Erreur serveur' })
   }
-})
-
-app.use('/api/students', studentsRouter)
-
-// ─────────────────────────────────────────────────────────────
-// SESSIONS
-// ─────────────────────────────────────────────────────────────
-const sessionsRouter = express.Router()
+}
 
-sessionsRouter.get(
-  '/:classId',
+// Liste des justificatifs d'une classe (?class_id, obligatoire pour un
+// prof), filtrable par statut (?status=pending)
+app.get(
+  '/justifications',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
+  ensureClassAccess('viewer'),
   async (req, res) => {
     try {
-      const { classId } = req.params
+      const { class_id, status } = req.query
+      const params = []
+      const where = []
+      if (class_id) where.push(`st.class_id = $${params.push(Number(class_id))}`)
+      if (status) where.push(`j.status = $${params.push(status)}`)
       const { rows } = await pool.query(
-        `SELECT s.id, to_char(s.date,'YYYY-MM-DD') AS date, s.status, s.note
-         FROM sessions s
-         JOIN school_years sy ON sy.id = s.school_year_id AND sy.is_current = true
-         WHERE s.class_id = $1
-         ORDER BY s.date`,
-        [classId],
+        `${JUSTIFICATION_SELECT}
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY j.created_at DESC`,
+        params,
       )
       res.json(rows)
-    } catch (err) {
-      console.error('GET /sessions/:classId :', err)
-      res.status(500).json({ error: 'Erreur serveur' })
+    } catch (e) {
+      console.error('GET /justifications :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
-sessionsRouter.post(
-  '/',
+// Justificatifs en attente couvrant la date d'une séance, pour les élèves
+// de sa classe : affichés au prof à l'ouverture de la séance.
+app.get(
+  '/sessions/:id/justifications',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
-  async (req, res) => {
-    try {
-      const { class_id, dates } = req.body
-      if (!class_id || !Array.isArray(dates) || dates.length === 0) {
-        return res.status(400).json({ error: 'Classe ou dates manquantes' })
-      }
-
-      const existingResult = await pool.query(
-        "SELECT to_char(date, 'YYYY-MM-DD') AS date FROM sessions WHERE class_id = $1",
-        [class_id],
-      )
-      const existingDates = existingResult.rows.map((row) => row.date)
-      const newDates = dates.filter((d) => !existingDates.includes(d))
-
-      if (newDates.length > 0) {
-        await pool.query(
-          `INSERT INTO sessions (class_id, date)
-           SELECT $1, unnest($2::date[])
-           ON CONFLICT (class_id, date) DO NOTHING`,
-          [class_id, newDates],
-        )
-      }
-
-      res.json([...existingDates, ...newDates].sort())
-    } catch (err) {
-      console.error('POST /sessions :', err)
-      res.status(500).json({ error: 'Erreur serveur' })
+  ensureSessionAccess('viewer'),
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `${JUSTIFICATION_SELECT}
+         JOIN sessions s ON s.id = $1
+         WHERE j.status = 'pending'
+           AND s.date BETWEEN j.date_from AND j.date_to
+           AND (st.class_id = s.class_id OR EXISTS (
+             SELECT 1 FROM class_enrollments ce
+             WHERE ce.student_id = j.student_id AND ce.class_id = s.class_id
+               AND ce.school_year_id = s.school_year_id
+           ))
+         ORDER BY st.lastname, st.firstname`,
+        [Number(req.params.id)],
+      )
+      res.json(rows)
+    } catch (e) {
+      console.error('GET /sessions/:id/justifications :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
-app.use('/sessions', sessionsRouter)
-
-// ─────────────────────────────────────────────────────────────
-// ATTENDANCE (présences)
-// ─────────────────────────────────────────────────────────────
-
 app.get(
-  '/attendance/:classId',
+  '/justifications/:id/document',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
+  ensureJustificationAccess('viewer'),
   async (req, res) => {
     try {
-      const { classId } = req.params
       const { rows } = await pool.query(
-        `SELECT a.student_id, a.session_id, a.status, a.comment
-         FROM attendances a
-         JOIN sessions s ON s.id = a.session_id
-         WHERE s.class_id = $1`,
-        [classId],
+        'SELECT document_filename, document_mime FROM absence_justifications WHERE id = $1',
+        [Number(req.params.id)],
       )
-      res.json(rows)
-    } catch (err) {
-      console.error('GET /attendance/:classId :', err)
+      const filename = rows[0]?.document_filename
+      if (!filename || !require('fs').existsSync(documentPath(filename))) {
+        return res.status(404).json({ message: 'Aucun document joint' })
+      }
+      res.setHeader('Content-Type', rows[0].document_mime)
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`)
+      require('fs').createReadStream(documentPath(filename)).pipe(res)
+    } catch (e) {
+      console.error('GET /justifications/:id/document :', e)
       res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
+// Validation : les séances de la période où l'élève est absent ou non
+// pointé passent en « excused » avec le motif en commentaire. Les séances
+// où il était présent, non tenables ou verrouillées sont laissées telles
+// quelles et signalées dans la réponse.
 app.post(
-  '/attendance',
+  '/justifications/:id/approve',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureSessionAccess,
+  ensureJustificationAccess('editor'),
   async (req, res) => {
     try {
-      let { student_id, session_id, status, comment } = req.body
-      student_id = Number(student_id)
-      session_id = Number(session_id)
-
-      if (!student_id || !session_id || !status) {
-        return res.status(400).json({ message: 'Paramètres manquants' })
-      }
+      const id = Number(req.params.id)
+      const reviewComment = req.body?.comment ? String(req.body.comment).trim().slice(0, 500) : null
+      const { rows } = await pool.query(
+        `UPDATE absence_justifications
+           SET status = 'approved', reviewed_by = $2, reviewed_at = NOW(), review_comment = $3
+         WHERE id = $1 AND status = 'pending'
+         RETURNING student_id, reason,
+                   to_char(date_from, 'YYYY-MM-DD') AS date_from,
+                   to_char(date_to,   'YYYY-MM-DD') AS date_to`,
+        [id, req.user.id, reviewComment],
+      )
+      if (!rows.length) return res.status(409).json({ message: 'Justificatif déjà traité' })
+      const j = rows[0]
 
-      const allowed = new Set(['present', 'absent', 'excused'])
-      if (!allowed.has(status)) return res.status(400).json({ message: 'Statut invalide' })
+      const { rows: sessions } = await pool.query(
+        `SELECT s.id, to_char(s.date, 'YYYY-MM-DD') AS date, s.status, s.locked_at,
+                a.status AS attendance
+         FROM sessions s
+         LEFT JOIN attendances a ON a.session_id = s.id AND a.student_id = $1
+         WHERE s.date BETWEEN $2 AND $3
+           AND (
+             s.class_id = (SELECT class_id FROM students WHERE id = $1)
+             OR s.class_id IN (
+               SELECT ce.class_id FROM class_enrollments ce
+               WHERE ce.student_id = $1 AND ce.school_year_id = s.school_year_id
+             )
+           )
+         ORDER BY s.date`,
+        [j.student_id, j.date_from, j.date_to],
+      )
 
-      if (status === 'excused') {
-        if (!comment || !String(comment).trim()) {
-          return res.status(400).json({ message: 'Commentaire requis pour "excusé(e)"' })
+      const excused = []
+      const skipped = []
+      for (const s of sessions) {
+        if (NON_POINTABLE_STATUSES.has(s.status)) continue
+        if (s.locked_at) { skipped.push({ session_id: s.id, date: s.date, reason: 'locked' }); continue }
+        if (s.attendance && s.attendance !== 'absent' && s.attendance !== 'excused') {
+          skipped.push({ session_id: s.id, date: s.date, reason: 'attended' })
+          continue
         }
-        comment = String(comment).trim()
-      } else {
-        comment = null
+        const entries = [{ student_id: j.student_id, status: 'excused', comment: j.reason }]
+        const { applied } = await saveAttendances(s.id, entries, req.user, 'justification')
+        publishAttendances(s.id, entries, applied)
+        excused.push({ session_id: s.id, date: s.date })
       }
+      res.json({ status: 'approved', excused, skipped })
+    } catch (e) {
+      console.error('POST /justifications/:id/approve :', e)
+      res.status(500).json({ message: 'Erreur validation justificatif' })
+    }
+  },
+)
 
-      const fk = await pool.query(
-        `SELECT
-           (SELECT 1 FROM students WHERE id = $1) AS has_student,
-           (SELECT 1 FROM sessions  WHERE id = $2) AS has_session`,
-        [student_id, session_id],
+app.post(
+  '/justifications/:id/reject',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureJustificationAccess('editor'),
+  async (req, res) => {
+    try {
+      const reviewComment = req.body?.comment ? String(req.body.comment).trim().slice(0, 500) : null
+      const { rowCount } = await pool.query(
+        `UPDATE absence_justifications
+           SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_comment = $3
+         WHERE id = $1 AND status = 'pending'`,
+        [Number(req.params.id), req.user.id, reviewComment],
       )
-      if (!fk.rows[0].has_student) return res.status(400).json({ message: 'Élève introuvable' })
-      if (!fk.rows[0].has_session) return res.status(400).json({ message: 'Session introuvable' })
+      if (rowCount === 0) return res.status(409).json({ message: 'Justificatif déjà traité' })
+      res.json({ status: 'rejected' })
+    } catch (e) {
+      console.error('POST /justifications/:id/reject :', e)
+      res.status(500).json({ message: 'Erreur refus justificatif' })
+    }
+  },
+)
 
-      const { rows: sRows } = await pool.query(
-        'SELECT status FROM sessions WHERE id=$1',
-        [session_id],
-      )
-      if (!sRows.length) return res.status(404).json({ message: 'Séance introuvable' })
+// ─── Auto-pointage par QR code (ensembles adultes, grands ados) ─────
+// Le prof affiche un QR code renouvelé toutes les CHECKIN_ROTATE_SECONDS :
+// c'est un jeton signé lié à la séance, de courte durée, qui n'est émis
+// que pendant la séance (de CHECKIN_EARLY_MINUTES avant son début jusqu'à
+// sa fin ; toute la journée si ses heures ne sont pas renseignées). L'élève scanne, choisit son nom et se déclare
+// présent. Un pointage déjà saisi par le prof n'est jamais écrasé, et le
+// prof garde la main pour corriger (source « self_checkin » dans l'historique).
+const CHECKIN_ROTATE_SECONDS = 30
+const CHECKIN_TOKEN_TTL_SECONDS = 90
+const CHECKIN_EARLY_MINUTES = 15
+
+const checkinLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300, // toute une classe derrière la même IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Trop de tentatives, réessayez plus tard.' },
+})
 
-      const nonPointables = new Set(['cancelled', 'holiday', 'vacation'])
-      if (nonPointables.has(sRows[0].status)) {
-        return res.status(409).json({
-          message: "Pointage interdit : cette séance n'est pas tenable (annulée/férié/vacances).",
-        })
-      }
+// Mêmes règles que POST /attendance : séance tenable, ni clôturée ni verrouillée,
+// plus : auto-pointage activé sur la classe et séance en cours.
+function checkinRefusal(session) {
+  if (!session) return { status: 404, message: 'Séance introuvable' }
+  if (!session.self_checkin) return { status: 403, message: "Auto-pointage désactivé pour cette classe" }
+  const frozen = sessionFrozen(session, null)
+  if (frozen) return frozen
+  if (NON_POINTABLE_STATUSES.has(session.status)) {
+    return { status: 409, message: "Pointage interdit : cette séance n'est pas tenable (annulée/férié/vacances)." }
+  }
+  if (!session.is_today) return { status: 409, message: "Le QR code n'est valable que le jour de la séance" }
+  if (!session.in_window) {
+    return {
+      status: 409,
+      message: `Le QR code n'est valable que pendant la séance (${session.start_time} – ${session.end_time})`,
+    }
+  }
+  return null
+}
 
-      await pool.query(
-        `INSERT INTO attendances (student_id, session_id, status, comment)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (student_id, session_id)
-         DO UPDATE SET status = EXCLUDED.status, comment = EXCLUDED.comment`,
-        [student_id, session_id, status, comment],
+async function loadCheckinSession(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.class_id, s.school_year_id, s.status, s.closed_at, s.locked_at,
+            to_char(s.date, 'YYYY-MM-DD') AS date,
+            to_char(s.start_time, 'HH24:MI') AS start_time,
+            to_char(s.end_time, 'HH24:MI') AS end_time,
+            s.date = (NOW() AT TIME ZONE 'Europe/Paris')::date AS is_today,
+            (s.start_time IS NULL OR s.end_time IS NULL
+             OR (NOW() AT TIME ZONE 'Europe/Paris')
+                  BETWEEN s.date + s.start_time - make_interval(mins => $2) AND s.date + s.end_time
+            ) AS in_window,
+            c.nom AS class_name, c.self_checkin
+     FROM sessions s
+     JOIN classes c ON c.id = s.class_id
+     WHERE s.id = $1`,
+    [sessionId, CHECKIN_EARLY_MINUTES],
+  )
+  return rows[0] || null
+}
+
+// Vérifie le jeton scanné puis l'état de la séance. Renvoie la séance ou
+// { status, message }.
+async function resolveCheckinToken(token) {
+  let payload
+  try {
+    payload = jwt.verify(String(token || ''), process.env.JWT_SECRET)
+  } catch {
+    return { status: 401, message: 'QR code expiré, scannez le code affiché' }
+  }
+  if (payload.purpose !== 'checkin' || !Number.isInteger(payload.session_id)) {
+    return { status: 401, message: 'QR code invalide' }
+  }
+  const session = await loadCheckinSession(payload.session_id)
+  return checkinRefusal(session) || session
+}
+
+// Élèves de la classe de la séance (classe actuelle ou inscription de l'année)
+const CHECKIN_STUDENTS = `
+  FROM students st
+  LEFT JOIN attendances a ON a.session_id = $1 AND a.student_id = st.id
+  WHERE (st.class_id = $2
+         OR st.id IN (SELECT student_id FROM class_enrollments
+                      WHERE class_id = $2 AND school_year_id = $3))`
+
+// Active / désactive l'auto-pointage d'une classe
+app.patch(
+  '/classes/:id/self-checkin',
+  authenticateToken,
+  authorizeRoles('prof', 'admin'),
+  ensureClassAccess('owner'),
+  async (req, res) => {
+    try {
+      const enabled = req.body?.enabled === true
+      const { rowCount } = await pool.query(
+        'UPDATE classes SET self_checkin = $2 WHERE id = $1',
+        [Number(req.params.id), enabled],
       )
-      res.json({ message: 'Présence enregistrée' })
-    } catch (err) {
-      if (err.code === '23514') {
-        return res.status(400).json({ message: 'Commentaire requis pour "excusé(e)"' })
-      }
-      console.error('POST /attendance :', err)
+      if (rowCount === 0) return res.status(404).json({ message: 'Classe introuvable' })
+      res.json({ self_checkin: enabled })
+    } catch (e) {
+      console.error('PATCH /classes/:id/self-checkin :', e)
       res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
-// Met à jour le statut d'une séance. Si le nouveau statut est non-pointable
-// et que des présences existent, ?force=true est requis pour les supprimer.
-app.patch(
-  '/sessions/:id/status',
+// Jeton à afficher en QR code ; le client le redemande toutes les
+// `refresh_in` secondes.
+app.get(
+  '/sessions/:id/checkin-token',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureSessionAccess,
+  ensureSessionAccess('editor'),
   async (req, res) => {
     try {
-      const id = Number(req.params.id)
-      const { status, note } = req.body ?? {}
-      const force = String(req.query.force || 'false') === 'true'
-
-      const allowed = new Set(['scheduled', 'cancelled', 'holiday', 'vacation', 'extra'])
-      if (!allowed.has(status)) return res.status(400).json({ message: 'Statut invalide' })
-
-      const nonPointables = new Set(['cancelled', 'holiday', 'vacation'])
-      if (nonPointables.has(status)) {
-        const { rows: cnt } = await pool.query(
-          'SELECT COUNT(*)::int AS n FROM attendances WHERE session_id=$1',
-          [id],
-        )
-        if (cnt[0].n > 0 && !force) {
-          return res.status(409).json({
-            message: 'Des pointages existent pour cette séance. Confirmez avec ?force=true pour les supprimer.',
-            existing: cnt[0].n,
-          })
-        }
-        if (cnt[0].n > 0 && force) {
-          await pool.query('DELETE FROM attendances WHERE session_id=$1', [id])
-        }
-      }
-
-      const { rows, rowCount } = await pool.query(
-        `UPDATE sessions
-           SET status = $1,
-               note   = $2
-         WHERE id = $3
-         RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note`,
-        [status, note ?? null, id],
+      const session = await loadCheckinSession(Number(req.params.id))
+      const refusal = checkinRefusal(session)
+      if (refusal) return res.status(refusal.status).json({ message: refusal.message })
+
+      const token = jwt.sign(
+        { session_id: session.id, purpose: 'checkin' },
+        process.env.JWT_SECRET,
+        { expiresIn: CHECKIN_TOKEN_TTL_SECONDS },
       )
-
-      if (rowCount === 0) return res.status(404).json({ message: 'Séance introuvable' })
-      return res.json(rows[0])
+      const appUrl = String(process.env.APP_URL || '').replace(/\/$/, '')
+      res.json({
+        token,
+        url: `${appUrl}/pointage/${token}`,
+        expires_in: CHECKIN_TOKEN_TTL_SECONDS,
+        refresh_in: CHECKIN_ROTATE_SECONDS,
+      })
     } catch (e) {
-      console.error('PATCH /sessions/:id/status :', e)
-      res.status(500).json({ message: 'Erreur mise à jour statut' })
+      console.error('GET /sessions/:id/checkin-token :', e)
+      res.status(500).json({ message: 'Erreur serveur' })
     }
   },
 )
 
+// Page ouverte par le scan : séance + liste des élèves (prénom et initiale)
+app.get('/api/public/checkin/:token', checkinLimiter, async (req, res) => {
+  try {
+    const session = await resolveCheckinToken(req.params.token)
+    if (session.message) return res.status(session.status).json({ message: session.message })
+    const { rows } = await pool.query(
+      `SELECT st.id, st.firstname, left(st.lastname, 1) AS lastname_initial,
+              (a.status IS NOT NULL) AS checked_in
+       ${CHECKIN_STUDENTS}
+       ORDER BY st.firstname, st.lastname`,
+      [session.id, session.class_id, session.school_year_id],
+    )
+    res.json({ class_name: session.class_name, date: session.date, students: rows })
+  } catch (e) {
+    console.error('GET /api/public/checkin/:token :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
+// { student_id } → pointé « present »
+app.post('/api/public/checkin/:token', checkinLimiter, async (req, res) => {
+  try {
+    const session = await resolveCheckinToken(req.params.token)
+    if (session.message) return res.status(session.status).json({ message: session.message })
+
+    const studentId = Number(req.body?.student_id)
+    if (!Number.isInteger(studentId)) return res.status(400).json({ message: 'student_id invalide' })
+    const { rows } = await pool.query(
+      `SELECT a.status ${CHECKIN_STUDENTS} AND st.id = $4`,
+      [session.id, session.class_id, session.school_year_id, studentId],
+    )
+    if (!rows.length) return res.status(404).json({ message: 'Élève introuvable dans cette classe' })
+    if (rows[0].status === 'present') return res.json({ message: 'Déjà pointé(e) présent(e)' })
+    if (rows[0].status) {
+      return res.status(409).json({ message: 'Pointage déjà saisi par le professeur' })
+    }
+
+    const entries = [{ student_id: studentId, status: 'present' }]
+    const { applied } = await saveAttendances(session.id, entries, null, 'self_checkin')
+    publishAttendances(session.id, entries, applied)
+    res.status(201).json({ message: 'Présence enregistrée' })
+  } catch (e) {
+    console.error('POST /api/public/checkin/:token :', e)
+    res.status(500).json({ message: 'Erreur serveur' })
+  }
+})
+
 // Crée une séance extra (hors planning habituel) pour une classe
 app.post(
   '/classes/:classId/sessions/extra',
   authenticateToken,
   authorizeRoles('prof', 'admin'),
-  ensureClassAccess,
+  ensureClassAccess('editor'),
   async (req, res) => {
     try {
       const classId = Number(req.params.classId)
-      const { date, note } = req.body ?? {}
+      const { date, note, start_time, end_time, room } = req.body ?? {}
 
       if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
         return res.status(400).json({ message: 'Date invalide (YYYY-MM-DD)' })
       }
+      // Horaires facultatifs, mais alors tous les deux
+      const start = start_time ? normalizeTime(start_time) : null
+      const end = end_time ? normalizeTime(end_time) : null
+      if ((start_time && !start) || (end_time && !end) || !start !== !end || (start && start >= end)) {
+        return res.status(400).json({ message: 'start_time et end_time invalides (HH:MM, début avant fin)' })
+      }
 
       const { rows } = await pool.query(
-        `INSERT INTO sessions (class_id, date, status, note)
-         VALUES ($1, $2::date, 'extra', $3)
+        `INSERT INTO sessions (class_id, date, status, note, start_time, end_time, room)
+         VALUES ($1, $2::date, 'extra', $3, $4, $5, $6)
          ON CONFLICT (class_id, date) DO NOTHING
-         RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note`,
-        [classId, date, note ?? null],
+         RETURNING id, to_char(date,'YYYY-MM-DD') AS date, status, note, ${SESSION_TIMES}`,
+        [classId, date, note ?? null, start, end, room ? String(room).trim().slice(0, 100) : null],
       )
 
       if (!rows.length) {
@@ -1371,7 +4361,7 @@ app.post(
 // ─────────────────────────────────────────────────────────────
 // PUSH NOTIFICATIONS — abonnement + test admin
 // ─────────────────────────────────────────────────────────────
-app.post('/api/push/subscribe', authenticateToken, async (req, res) => {
+app.post('/api/push/subscribe', authenticateToken, authorizeRoles('prof', 'admin'), async (req, res) => {
   const { endpoint, keys } = req.body
   if (!endpoint || !keys?.p256dh || !keys?.auth) {
     return res.status(400).json({ message: 'Abonnement invalide' })
@@ -1395,32 +4385,261 @@ app.post('/api/push/subscribe', authenticateToken, async (req, res) => {
 app.use((_req, res) => res.status(404).json({ error: 'Not found' }))
 
 // ─────────────────────────────────────────────────────────────
-// Init : table periodes_exclues + seed Zone B 2024-2025
-// Dates à vérifier sur education.gouv.fr si l'année change
+// Init des tables (migrations légères au démarrage)
 // ─────────────────────────────────────────────────────────────
-async function initPeriodesExclues() {
+// Colonnes de cycle de vie des comptes (ajoutées à la table existante)
+async function initUsers() {
+  await pool.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS email                VARCHAR(150),
+      ADD COLUMN IF NOT EXISTS is_active            BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS totp_enabled         BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS totp_secret          VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS totp_last_step       BIGINT
+  `)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id        SERIAL PRIMARY KEY,
+      user_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash CHAR(64) NOT NULL,
+      used_at   TIMESTAMPTZ
+    )
+  `)
+}
+
+async function initAppSettings() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key        VARCHAR(100) PRIMARY KEY,
+      value      JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `)
+}
+
+// Sessions de connexion : une ligne par appareil, porte le refresh token
+async function initAuthSessions() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id            SERIAL PRIMARY KEY,
+      user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_hash  CHAR(64) NOT NULL,
+      previous_hash CHAR(64),
+      user_agent    VARCHAR(255),
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at  TIMESTAMPTZ,
+      expires_at    TIMESTAMPTZ NOT NULL,
+      revoked_at    TIMESTAMPTZ
+    )
+  `)
+  await pool.query('CREATE INDEX IF NOT EXISTS auth_sessions_user_idx ON auth_sessions (user_id)')
+}
+
+// Liens de réinitialisation de mot de passe (hash du token, usage unique)
+async function initPasswordResets() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id         SERIAL PRIMARY KEY,
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at    TIMESTAMPTZ
+    )
+  `)
+}
+
+// Niveau d'accès sur chaque lien classe ↔ utilisateur. Les liens existants
+// deviennent editor (comportement historique), sauf ceux du propriétaire.
+async function initClassUserRoles() {
+  await pool.query(`
+    ALTER TABLE class_users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'editor'
+        CHECK (role IN ('owner', 'editor', 'viewer'))
+  `)
+  await pool.query(`
+    UPDATE class_users cu SET role = 'owner'
+    FROM classes c
+    WHERE c.id = cu.class_id AND c.user_id = cu.user_id AND cu.role <> 'owner'
+  `)
+}
+
+// Comptes parents : liens vers les élèves + email parent sur les dossiers
+async function initParentAccounts() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS parent_students (
+      parent_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (parent_id, student_id)
+    )
+  `)
+  await pool.query('ALTER TABLE dossiers ADD COLUMN IF NOT EXISTS email VARCHAR(150)')
+}
+
+// Statuts « retard » et « départ anticipé » avec durée en minutes. Les
+// anciennes contraintes CHECK listant les statuts sont remplacées ; celle
+// qui impose un commentaire pour « excused » est conservée.
+async function initAttendanceStatuses() {
+  await pool.query('ALTER TABLE attendances ADD COLUMN IF NOT EXISTS minutes SMALLINT')
+  await pool.query(`
+    DO $$
+    DECLARE r RECORD;
+    BEGIN
+      FOR r IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'attendances'::regclass AND contype = 'c'
+          AND pg_get_constraintdef(oid) LIKE '%present%'
+          AND pg_get_constraintdef(oid) NOT LIKE '%left_early%'
+      LOOP
+        EXECUTE format('ALTER TABLE attendances DROP CONSTRAINT %I', r.conname);
+      END LOOP;
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'attendances'::regclass AND conname = 'attendances_status_values_check'
+      ) THEN
+        ALTER TABLE attendances ADD CONSTRAINT attendances_status_values_check
+          CHECK (status IN ('present', 'absent', 'excused', 'late', 'left_early'));
+      END IF;
+    END $$
+  `)
+}
+
+// Heure du pointage, base du last-writer-wins de /attendance/sync. Les
+// pointages existants sont datés du jour de leur séance : dater la reprise
+// ferait perdre toute modification hors ligne antérieure au déploiement.
+async function initAttendanceSync() {
+  await pool.query('ALTER TABLE attendances ADD COLUMN IF NOT EXISTS marked_at TIMESTAMPTZ')
+  await pool.query(`
+    UPDATE attendances a
+       SET marked_at = s.date::timestamp AT TIME ZONE 'Europe/Paris'
+      FROM sessions s
+     WHERE s.id = a.session_id AND a.marked_at IS NULL
+  `)
+  await pool.query(`
+    ALTER TABLE attendances
+      ALTER COLUMN marked_at SET DEFAULT NOW(),
+      ALTER COLUMN marked_at SET NOT NULL
+  `)
+}
+
+// Journal des modifications de pointage. Pas de clé étrangère vers
+// sessions/students : l'historique doit survivre à leur suppression.
+async function initAttendanceHistory() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS attendance_history (
+      id                  SERIAL PRIMARY KEY,
+      session_id          INTEGER NOT NULL,
+      student_id          INTEGER NOT NULL,
+      action              VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      old_status          VARCHAR(20),
+      old_comment         TEXT,
+      old_minutes         SMALLINT,
+      new_status          VARCHAR(20),
+      new_comment         TEXT,
+      new_minutes         SMALLINT,
+      changed_by          INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      changed_by_username VARCHAR(150),
+      source              VARCHAR(30) NOT NULL,
+      changed_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `)
+  await pool.query('CREATE INDEX IF NOT EXISTS attendance_history_session_idx ON attendance_history (session_id)')
+  await pool.query('CREATE INDEX IF NOT EXISTS attendance_history_student_idx ON attendance_history (student_id)')
+}
+
+// Alertes d'absences déjà envoyées (dédoublonnage du cron)
+async function initAbsenceAlerts() {
   await pool.query(`
-    CREATE TABLE IF NOT EXISTS periodes_exclues (
+    CREATE TABLE IF NOT EXISTS absence_alerts (
+      id              SERIAL PRIMARY KEY,
+      student_id      INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      class_id        INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      school_year_id  INTEGER NOT NULL REFERENCES school_years(id) ON DELETE CASCADE,
+      kind            VARCHAR(10) NOT NULL CHECK (kind IN ('streak', 'rate')),
+      ref             VARCHAR(20) NOT NULL,
+      value           NUMERIC(5, 1) NOT NULL,
+      family_notified BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (student_id, class_id, kind, ref)
+    )
+  `)
+}
+
+// Clôture et verrouillage des séances + journal des clôtures /
+// déverrouillages
+async function initSessionLocks() {
+  await pool.query(`
+    ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS locked_at   TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS locked_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS unlocked_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS closed_at   TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS closed_by   INTEGER REFERENCES users(id) ON DELETE SET NULL
+  `)
+  // Reprise : la clôture verrouillait directement la séance
+  await pool.query(`
+    UPDATE sessions SET closed_at = locked_at, closed_by = locked_by
+    WHERE locked_at IS NOT NULL AND closed_at IS NULL
+  `)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS session_lock_log (
       id         SERIAL PRIMARY KEY,
-      label      VARCHAR(100) NOT NULL,
-      date_debut DATE NOT NULL,
-      date_fin   DATE NOT NULL
+      session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      action     VARCHAR(10) NOT NULL CHECK (action IN ('close', 'auto_lock', 'unlock')),
+      reason     TEXT,
+      user_id    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      username   VARCHAR(150),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `)
+}
+
+// Justificatifs d'absence déposés par les familles + lien public par élève
+async function initAbsenceJustifications() {
+  await pool.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS justification_token VARCHAR(64) UNIQUE')
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS absence_justifications (
+      id                SERIAL PRIMARY KEY,
+      student_id        INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      date_from         DATE NOT NULL,
+      date_to           DATE NOT NULL,
+      reason            TEXT NOT NULL,
+      document_filename VARCHAR(255),
+      document_mime     VARCHAR(50),
+      submitted_via     VARCHAR(10) NOT NULL CHECK (submitted_via IN ('public', 'parent')),
+      submitted_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      status            VARCHAR(10) NOT NULL DEFAULT 'pending'
+                          CHECK (status IN ('pending', 'approved', 'rejected')),
+      reviewed_by       INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at       TIMESTAMPTZ,
+      review_comment    TEXT,
+      created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (date_from <= date_to)
     )
   `)
-  const { rows } = await pool.query('SELECT COUNT(*)::int AS n FROM periodes_exclues')
-  if (rows[0].n > 0) return
+}
+
+// Auto-pointage par QR code, activé classe par classe
+async function initSelfCheckin() {
+  await pool.query('ALTER TABLE classes ADD COLUMN IF NOT EXISTS self_checkin BOOLEAN NOT NULL DEFAULT FALSE')
+}
+
+// Attestations de présence émises (numéro vérifiable + chiffres attestés)
+async function initAttendanceCertificates() {
   await pool.query(`
-    INSERT INTO periodes_exclues (label, date_debut, date_fin) VALUES
-      ('Toussaint 2024',          '2024-10-19', '2024-11-03'),
-      ('Armistice 2024',          '2024-11-11', '2024-11-11'),
-      ('Noel 2024',               '2024-12-21', '2025-01-05'),
-      ('Hiver Zone B 2025',       '2025-02-22', '2025-03-09'),
-      ('Printemps Zone B 2025',   '2025-04-19', '2025-05-04'),
-      ('Victoire 1945 2025',      '2025-05-08', '2025-05-08'),
-      ('Ascension 2025',          '2025-05-29', '2025-05-29'),
-      ('Pentecote 2025',          '2025-06-09', '2025-06-09')
+    CREATE TABLE IF NOT EXISTS attendance_certificates (
+      id         SERIAL PRIMARY KEY,
+      number     VARCHAR(30) NOT NULL UNIQUE,
+      student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+      date_from  DATE NOT NULL,
+      date_to    DATE NOT NULL,
+      figures    JSONB NOT NULL,
+      issued_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      issued_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
   `)
-  console.log('[init] periodes_exclues seeded')
 }
 
 async function initPushSubscriptions() {
@@ -1437,54 +4656,68 @@ async function initPushSubscriptions() {
   `)
 }
 
+// Envoie une notification à tous les appareils abonnés d'un utilisateur.
+// Les abonnements expirés (410) sont supprimés au passage.
+async function sendPushToUser(userId, payload) {
+  const { rows: subs } = await pool.query(
+    'SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = $1',
+    [userId],
+  )
+  for (const sub of subs) {
+    await webpush.sendNotification(
+      { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+      JSON.stringify(payload),
+    ).catch(async (err) => {
+      if (err.statusCode === 410) {
+        await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [sub.endpoint])
+      }
+    })
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // CRON — rappel pointage chaque jour à 12h (Europe/Paris)
 // ─────────────────────────────────────────────────────────────
 cron.schedule('0 12 * * *', async () => {
   if (!process.env.VAPID_PUBLIC_KEY) return
 
-  const jsDay = new Date().getDay()
-  const isoDay = jsDay === 0 ? 7 : jsDay
-
   try {
+    // Pas de rappel pendant les vacances ni les jours fériés
+    const today = new Date().toLocaleDateString('sv-SE', { timeZone: 'Europe/Paris' })
+    if (await dayStatus(today)) return console.log('[cron] rappels pointage : jour non travaillé')
+
+    // Classes ayant une séance aujourd'hui (créneaux et leur récurrence,
+    // séances extra), avec l'heure s'il y en a une
     const { rows: profs } = await pool.query(`
-      SELECT t.user_id, u.username, array_agg(DISTINCT t.nom ORDER BY t.nom) AS class_names
+      SELECT t.user_id, u.username,
+             array_agg(DISTINCT t.label ORDER BY t.label) AS class_names
       FROM (
-        SELECT c.user_id, c.nom FROM classes c WHERE c.weekday = $1
-        UNION ALL
-        SELECT cu.user_id, c.nom
-        FROM classes c JOIN class_users cu ON cu.class_id = c.id
-        WHERE c.weekday = $1
+        SELECT owner.user_id,
+               c.nom || COALESCE(' à ' || replace(to_char(s.start_time, 'HH24:MI'), ':', 'h'), '') AS label
+        FROM sessions s
+        JOIN classes c ON c.id = s.class_id
+        CROSS JOIN LATERAL (
+          SELECT c.user_id
+          UNION
+          SELECT cu.user_id FROM class_users cu WHERE cu.class_id = c.id
+        ) owner
+        WHERE s.date = $1::date AND COALESCE(s.status, 'scheduled') IN ('scheduled', 'extra')
       ) t
       JOIN users u ON u.id = t.user_id
       GROUP BY t.user_id, u.username
-    `, [isoDay])
+    `, [today])
 
     for (const prof of profs) {
-      const { rows: subs } = await pool.query(
-        'SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = $1',
-        [prof.user_id],
-      )
-      for (const sub of subs) {
-        const classNames = prof.class_names
-        const isSingle = classNames.length === 1
-        const prenom = prof.username
-
-        const title = 'Rappel pointage 🎵'
-        const body = isSingle
-          ? `Bonjour ${prenom}, n'oubliez pas de faire le pointage de votre classe ${classNames[0]} aujourd'hui, ce serait dommage !`
-          : `Bonjour ${prenom}, vous avez ${classNames.length} classes aujourd'hui : ${classNames.join(', ')}. N'oubliez pas de pointer, ce serait dommage !`
-
-        const payload = JSON.stringify({ title, body, url: '/classes' })
-        await webpush.sendNotification(
-          { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
-          payload,
-        ).catch(async (err) => {
-          if (err.statusCode === 410) {
-            await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [sub.endpoint])
-          }
-        })
-      }
+      const classNames = prof.class_names
+      const isSingle = classNames.length === 1
+      const prenom = prof.username
+
+      const title = 'Rappel pointage 🎵'
+      const body = isSingle
+        ? `Bonjour ${prenom}, n'oubliez pas de faire le pointage de votre classe ${classNames[0]} aujourd'hui, ce serait dommage !`
+        : `Bonjour ${prenom}, vous avez ${classNames.length} classes aujourd'hui : ${classNames.join(', ')}. N'oubliez pas de pointer, ce serait dommage !`
+
+      await sendPushToUser(prof.user_id, { title, body, url: '/classes' })
     }
     console.log('[cron] rappels pointage envoyés —', profs.length, 'prof(s) concerné(s)')
   } catch (e) {
@@ -1492,8 +4725,59 @@ cron.schedule('0 12 * * *', async () => {
   }
 }, { timezone: 'Europe/Paris' })
 
-app.listen(PORT, () => {
+// CRON — verrouillage automatique des séances chaque nuit à 2h (Europe/Paris)
+cron.schedule('0 2 * * *', async () => {
+  try {
+    const n = await autoLockSessions()
+    console.log('[cron] verrouillage auto —', n, 'séance(s) verrouillée(s)')
+  } catch (e) {
+    console.error('[cron] erreur verrouillage auto :', e)
+  }
+}, { timezone: 'Europe/Paris' })
+
+// CRON — alertes d'absences répétées chaque jour à 19h (Europe/Paris)
+cron.schedule('0 19 * * *', async () => {
+  try {
+    const { detected, sent } = await runAbsenceAlerts()
+    console.log('[cron] alertes absences —', detected, 'détectée(s),', sent, 'nouvelle(s)')
+  } catch (e) {
+    console.error('[cron] erreur alertes absences :', e)
+  }
+}, { timezone: 'Europe/Paris' })
+
+const server = app.listen(PORT, () => {
   console.log(`Serveur démarré sur le port ${PORT}`)
 })
-initPeriodesExclues().catch(e => console.error('[init] periodes_exclues :', e))
-initPushSubscriptions().catch(e => console.error('[init] push_subscriptions :', e))
\ No newline at end of file
+
+// WebSocket /ws : mêmes tokens que l'API, réservé aux profs et admins,
+// abonnement soumis aux mêmes droits que ensureClassAccess('viewer')
+attachRealtime(server, {
+  authenticate: async (token) => {
+    const { user } = await verifyAccessToken(String(token || ''))
+    return user && !user.must_change_password && ['prof', 'admin'].includes(user.role) ? user : null
+  },
+  classOfSession: async (sessionId) => {
+    if (!Number.isInteger(sessionId)) return null
+    const { rows } = await pool.query('SELECT class_id FROM sessions WHERE id = $1', [sessionId])
+    return rows[0]?.class_id ?? null
+  },
+  canViewClass: async (user, classId) =>
+    user.role === 'admin' || (await getClassRole(classId, user.id)) !== null,
+})
+initSchoolCalendar().catch(e => console.error('[init] school_calendar :', e))
+initClassSlots().catch(e => console.error('[init] class_slots :', e))
+initPushSubscriptions().catch(e => console.error('[init] push_subscriptions :', e))
+initUsers().catch(e => console.error('[init] users :', e))
+initAppSettings().catch(e => console.error('[init] app_settings :', e))
+initAuthSessions().catch(e => console.error('[init] auth_sessions :', e))
+initPasswordResets().catch(e => console.error('[init] password_resets :', e))
+initClassUserRoles().catch(e => console.error('[init] class_users.role :', e))
+initParentAccounts().catch(e => console.error('[init] parent_students :', e))
+initAttendanceStatuses().catch(e => console.error('[init] attendances.status :', e))
+initAttendanceSync().catch(e => console.error('[init] attendances.marked_at :', e))
+initAttendanceHistory().catch(e => console.error('[init] attendance_history :', e))
+initAbsenceAlerts().catch(e => console.error('[init] absence_alerts :', e))
+initSessionLocks().catch(e => console.error('[init] sessions.locked_at :', e))
+initAbsenceJustifications().catch(e => console.error('[init] absence_justifications :', e))
+initSelfCheckin().catch(e => console.error('[init] classes.self_checkin :', e))
+initAttendanceCertificates().catch(e => console.error('[init] attendance_certificates :', e))
\ No newline at end of file
@@ -0,0 +1,162 @@
+// spreadsheet.js — exports tableurs (CSV pour Excel et XLSX) générés
+// localement : un XLSX n'est qu'une archive zip de quelques fichiers XML,
+// zlib suffit, aucune dépendance.
+
+const zlib = require('zlib')
+
+// ─── CSV ──────────────────────────────────────────────────────────
+
+// Point-virgule et BOM UTF-8 : c'est ce qu'attend Excel en français
+function toCsv(rows) {
+  const cell = (v) => {
+    const s = v == null ? '' : String(v)
+    return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+  }
+  return '\uFEFF' + rows.map((r) => r.map(cell).join(';')).join('\r\n') + '\r\n'
+}
+
+// ─── ZIP (méthode deflate, sans chiffrement) ─────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(buf) {
+  let c = 0xffffffff
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+function zip(files) {
+  const locals = []
+  const central = []
+  let offset = 0
+  for (const { name, data } of files) {
+    const raw = Buffer.from(data, 'utf8')
+    const packed = zlib.deflateRawSync(raw)
+    const fname = Buffer.from(name, 'utf8')
+    const crc = crc32(raw)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)          // version requise
+    local.writeUInt16LE(0x0800, 6)      // noms en UTF-8
+    local.writeUInt16LE(8, 8)           // deflate
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(packed.length, 18)
+    local.writeUInt32LE(raw.length, 22)
+    local.writeUInt16LE(fname.length, 26)
+    locals.push(local, fname, packed)
+
+    const entry = Buffer.alloc(46)
+    entry.writeUInt32LE(0x02014b50, 0)
+    entry.writeUInt16LE(20, 4)
+    entry.writeUInt16LE(20, 6)
+    entry.writeUInt16LE(0x0800, 8)
+    entry.writeUInt16LE(8, 10)
+    entry.writeUInt32LE(crc, 16)
+    entry.writeUInt32LE(packed.length, 20)
+    entry.writeUInt32LE(raw.length, 24)
+    entry.writeUInt16LE(fname.length, 28)
+    entry.writeUInt32LE(offset, 42)
+    central.push(entry, fname)
+
+    offset += local.length + fname.length + packed.length
+  }
+  const dir = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(dir.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, dir, end])
+}
+
+// ─── XLSX ─────────────────────────────────────────────────────────
+
+function xmlEscape(s) {
+  return String(s).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c])
+}
+
+// Référence de colonne Excel : 0 → A, 25 → Z, 26 → AA…
+function colName(i) {
+  let s = ''
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s
+  return s
+}
+
+function sheetXml(rows) {
+  const body = rows.map((r, ri) => {
+    const cells = r.map((v, ci) => {
+      if (v == null || v === '') return ''
+      const ref = `${colName(ci)}${ri + 1}`
+      const style = ri === 0 ? ' s="1"' : ''
+      if (typeof v === 'number') return `<c r="${ref}"${style}><v>${v}</v></c>`
+      return `<c r="${ref}" t="inlineStr"${style}><is><t>${xmlEscape(v)}</t></is></c>`
+    })
+    return `<row r="${ri + 1}">${cells.join('')}</row>`
+  })
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body.join('')}</sheetData></worksheet>`
+}
+
+// Classeur d'une feuille ; la première ligne (en-têtes) est en gras et figée
+function toXlsx(sheetName, rows) {
+  const name = xmlEscape(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Feuille1')
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(rows) },
+  ])
+}
+
+module.exports = { toCsv, toXlsx }
@@ -0,0 +1,79 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const db = require('./fakeDb')
+const {
+  frenchPublicHolidays,
+  publicHolidaysBetween,
+  ensurePublicHolidays,
+  normalizeCalendarEntry,
+} = require('../calendar')
+
+test.beforeEach(() => db.reset())
+
+const dateOf = (year, label) => frenchPublicHolidays(year).find((h) => h.label === label).date
+
+test('Pâques : lundi de Pâques sur des années connues', () => {
+  const easterMondays = {
+    2000: '2000-04-24',
+    2011: '2011-04-25',
+    2019: '2019-04-22',
+    2024: '2024-04-01',
+    2025: '2025-04-21',
+    2026: '2026-04-06',
+    2027: '2027-03-29',
+    2038: '2038-04-26',
+  }
+  for (const [year, date] of Object.entries(easterMondays)) {
+    assert.equal(dateOf(Number(year), 'Lundi de Pâques'), date, year)
+  }
+})
+
+test('Ascension et Pentecôte suivent Pâques', () => {
+  assert.equal(dateOf(2025, 'Ascension'), '2025-05-29')
+  assert.equal(dateOf(2025, 'Lundi de Pentecôte'), '2025-06-09')
+  assert.equal(dateOf(2026, 'Ascension'), '2026-05-14')
+  assert.equal(dateOf(2026, 'Lundi de Pentecôte'), '2026-05-25')
+})
+
+test('frenchPublicHolidays : 11 jours triés', () => {
+  const dates = frenchPublicHolidays(2026).map((h) => h.date)
+  assert.equal(dates.length, 11)
+  assert.deepEqual(dates, [...dates].sort())
+  assert.ok(dates.includes('2026-07-14'))
+})
+
+test('publicHolidaysBetween : à cheval sur deux années civiles', () => {
+  assert.deepEqual(
+    publicHolidaysBetween('2025-09-01', '2026-04-30').map((h) => h.date),
+    ['2025-11-01', '2025-11-11', '2025-12-25', '2026-01-01', '2026-04-06'],
+  )
+})
+
+test('ensurePublicHolidays : seules les saisies toutes zones bloquent le férié calculé', async () => {
+  db.reply(() => ({ rows: [], rowCount: 2 }))
+  assert.equal(await ensurePublicHolidays('2025-11-01', '2025-11-30'), 2)
+  const { text, params } = db.calls[0]
+  assert.deepEqual(params, [['2025-11-01', '2025-11-11'], ['Toussaint', 'Armistice']])
+  assert.match(text, /sc\.zone IS NULL/)
+})
+
+test('ensurePublicHolidays : aucune requête sans férié dans la plage', async () => {
+  assert.equal(await ensurePublicHolidays('2025-09-01', '2025-09-30'), 0)
+  assert.equal(db.calls.length, 0)
+})
+
+test('normalizeCalendarEntry', () => {
+  assert.deepEqual(
+    normalizeCalendarEntry({ kind: 'workday', label: ' Pont ', start_date: '2026-05-14', zone: 'b' }),
+    { kind: 'workday', label: 'Pont', start_date: '2026-05-14', end_date: '2026-05-14', zone: 'B' },
+  )
+  assert.match(normalizeCalendarEntry({ kind: 'other', label: 'x', start_date: '2026-05-14' }).error, /kind/)
+  assert.match(
+    normalizeCalendarEntry({ kind: 'vacation', label: 'x', start_date: '2026-05-14', end_date: '2026-05-01' }).error,
+    /précéder/,
+  )
+  // PATCH : les champs absents reprennent la valeur courante
+  const current = { kind: 'vacation', label: 'Hiver', start_date: '2026-02-14', end_date: '2026-03-01', zone: 'B' }
+  assert.deepEqual(normalizeCalendarEntry({ end_date: '2026-02-28' }, current), { ...current, end_date: '2026-02-28' })
+})
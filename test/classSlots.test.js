@@ -0,0 +1,84 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const db = require('./fakeDb')
+const { normalizeTime, normalizeSlots, slotSessions, removeStaleSessions } = require('../classSlots')
+
+test.beforeEach(() => db.reset())
+
+test('normalizeTime', () => {
+  assert.equal(normalizeTime('18:30'), '18:30')
+  assert.equal(normalizeTime('09:05:00'), '09:05')
+  assert.equal(normalizeTime('24:00'), null)
+  assert.equal(normalizeTime('9h'), null)
+})
+
+test('normalizeSlots : tri, règle canonique, exdates dédoublonnées', () => {
+  const { slots, error } = normalizeSlots([
+    { weekday: 6, start_time: '10:00', end_time: '12:00', room: ' Salle 2 ' },
+    {
+      weekday: 3,
+      start_time: '18:00',
+      end_time: '19:30',
+      rrule: 'freq=weekly;interval=2',
+      dtstart: '2025-09-03',
+      exdates: ['2025-10-29', '20251029', '2025-09-17'],
+    },
+  ])
+  assert.equal(error, undefined)
+  assert.deepEqual(slots.map((s) => s.weekday), [3, 6])
+  assert.equal(slots[0].rrule, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE')
+  assert.deepEqual(slots[0].exdates, ['2025-09-17', '2025-10-29'])
+  assert.equal(slots[1].room, 'Salle 2')
+  assert.equal(slots[1].rrule, null)
+})
+
+test('normalizeSlots : erreurs', () => {
+  const base = { weekday: 3, start_time: '18:00', end_time: '19:00' }
+  assert.match(normalizeSlots({}).error, /tableau/)
+  assert.match(normalizeSlots([{ ...base, weekday: 8 }]).error, /weekday/)
+  assert.match(normalizeSlots([{ ...base, end_time: '17:00' }]).error, /précéder/)
+  assert.match(normalizeSlots([base, base]).error, /Un seul créneau/)
+  assert.match(normalizeSlots([{ ...base, rrule: 'FREQ=WEEKLY;INTERVAL=2' }]).error, /dtstart requis/)
+  assert.match(normalizeSlots([{ ...base, rrule: 'FREQ=WEEKLY;BYDAY=MO' }]).error, /^rrule : BYDAY/)
+  assert.match(normalizeSlots([{ ...base, exdates: ['2025-13-01'] }]).error, /exdates/)
+})
+
+test('slotSessions : une séance par date, avec les heures et la salle du créneau', () => {
+  const slots = [
+    { weekday: 3, start_time: '18:00', end_time: '19:00', room: 'A' },
+    { weekday: 6, start_time: '10:00', end_time: '12:00', room: null, rrule: 'FREQ=MONTHLY;BYDAY=SA;BYSETPOS=1' },
+  ]
+  assert.deepEqual(slotSessions(slots, '2025-09-01', '2025-09-14'), [
+    { date: '2025-09-03', start_time: '18:00', end_time: '19:00', room: 'A' },
+    { date: '2025-09-10', start_time: '18:00', end_time: '19:00', room: 'A' },
+    { date: '2025-09-06', start_time: '10:00', end_time: '12:00', room: null },
+  ])
+})
+
+test('removeStaleSessions : garde les dates de la récurrence, retire les jours supprimés', async () => {
+  db.reply(() => ({ rows: [], rowCount: 2 }))
+  const slots = [{
+    weekday: 3,
+    start_time: '18:00',
+    end_time: '19:00',
+    rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE',
+    dtstart: '2025-09-03',
+    exdates: ['2025-09-17'],
+  }]
+  const removed = await removeStaleSessions(42, slots, '2025-09-01', '2025-09-30', [6])
+
+  assert.equal(removed, 2)
+  assert.equal(db.calls.length, 1)
+  const { text, params } = db.calls[0]
+  assert.deepEqual(params, [42, '2025-09-01', '2025-09-30', [3], ['2025-09-03'], [6]])
+  // Jamais les séances verrouillées, pointées ou hors planning ordinaire
+  assert.match(text, /locked_at IS NULL/)
+  assert.match(text, /NOT EXISTS \(SELECT 1 FROM attendances/)
+  assert.match(text, /IN \('scheduled', 'vacation', 'holiday'\)/)
+})
+
+test('removeStaleSessions : rien à faire sans créneau ni jour retiré', async () => {
+  assert.equal(await removeStaleSessions(42, [], '2025-09-01', '2025-09-30'), 0)
+  assert.equal(db.calls.length, 0)
+})
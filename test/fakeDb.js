@@ -0,0 +1,31 @@
+// fakeDb.js — remplace ./db (Neon) dans les tests : aucune connexion,
+// les requêtes sont enregistrées et la réponse est fournie par le test.
+// À requérir AVANT les modules qui importent ./db.
+
+const path = require('path')
+
+const calls = []
+let respond = () => ({ rows: [], rowCount: 0 })
+
+const fakeDb = {
+  calls,
+  async query(text, params = []) {
+    calls.push({ text, params })
+    return respond(text, params)
+  },
+  async end() {},
+  on() {},
+  // Réponse des prochaines requêtes : (text, params) → { rows, rowCount }
+  reply(fn) {
+    respond = fn
+  },
+  reset() {
+    calls.length = 0
+    respond = () => ({ rows: [], rowCount: 0 })
+  },
+}
+
+const dbPath = path.join(__dirname, '..', 'db.js')
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb }
+
+module.exports = fakeDb
@@ -0,0 +1,96 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { parseIcs } = require('../ics')
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR',
+].join('\r\n')
+
+const only = (text) => {
+  const { events, error } = parseIcs(text)
+  assert.equal(error, undefined)
+  assert.equal(events.length, 1)
+  return events[0]
+}
+
+test('fichier sans VCALENDAR refusé', () => {
+  assert.match(parseIcs('BEGIN:VEVENT\nEND:VEVENT').error, /VCALENDAR/)
+})
+
+test('DTEND exclusif sur des dates', () => {
+  const ev = only(calendar([
+    'UID:toussaint-b',
+    'SUMMARY:Vacances de la Toussaint',
+    'DTSTART;VALUE=DATE:20251018',
+    'DTEND;VALUE=DATE:20251103',
+  ]))
+  assert.deepEqual(ev, {
+    uid: 'toussaint-b',
+    summary: 'Vacances de la Toussaint',
+    description: '',
+    location: '',
+    start_date: '2025-10-18',
+    end_date: '2025-11-02',
+    has_end: true,
+  })
+})
+
+test('sans DTEND : un seul jour, has_end false', () => {
+  const ev = only(calendar(['SUMMARY:Vacances d\'été', 'DTSTART;VALUE=DATE:20260704']))
+  assert.equal(ev.start_date, '2026-07-04')
+  assert.equal(ev.end_date, '2026-07-04')
+  assert.equal(ev.has_end, false)
+})
+
+test('lignes repliées et texte échappé', () => {
+  const ev = only(calendar([
+    'SUMMARY:Vacances de Noël\\, zones A\\;',
+    '  B et C',
+    'DESCRIPTION:Ligne 1\\nLigne 2',
+    'DTSTART;VALUE=DATE:20251220',
+  ]))
+  assert.equal(ev.summary, 'Vacances de Noël, zones A; B et C')
+  assert.equal(ev.description, 'Ligne 1\nLigne 2')
+})
+
+test('heure UTC (Z) ramenée à Paris', () => {
+  // 23:00 UTC = 01:00 à Paris (heure d'été) : le lendemain
+  const ev = only(calendar(['DTSTART:20251017T230000Z', 'DTEND:20251102T230000Z']))
+  assert.equal(ev.start_date, '2025-10-18')
+  // 23:00 UTC le 2 novembre = minuit à Paris (heure d'hiver) : fin exclusive
+  assert.equal(ev.end_date, '2025-11-02')
+})
+
+test('TZID converti vers Paris', () => {
+  // 20:00 à New York (UTC-4) = 02:00 le lendemain à Paris
+  const ev = only(calendar(['DTSTART;TZID=America/New_York:20251017T200000']))
+  assert.equal(ev.start_date, '2025-10-18')
+})
+
+test('TZID Europe/Paris à minuit : fin exclusive', () => {
+  const ev = only(calendar([
+    'DTSTART;TZID=Europe/Paris:20260207T000000',
+    'DTEND;TZID=Europe/Paris:20260223T000000',
+  ]))
+  assert.equal(ev.start_date, '2026-02-07')
+  assert.equal(ev.end_date, '2026-02-22')
+})
+
+test('heure murale sans fuseau ou TZID inconnu : heure de Paris', () => {
+  const events = parseIcs(calendar(
+    ['DTSTART:20260207T000000', 'DTEND:20260223T000000'],
+    ['DTSTART;TZID="W. Europe Standard Time":20260207T000000', 'DTEND;TZID="W. Europe Standard Time":20260223T000000'],
+  )).events
+  for (const ev of events) {
+    assert.equal(ev.start_date, '2026-02-07')
+    assert.equal(ev.end_date, '2026-02-22')
+  }
+})
+
+test('événement sans DTSTART ignoré', () => {
+  assert.deepEqual(parseIcs(calendar(['SUMMARY:Sans date'])).events, [])
+})
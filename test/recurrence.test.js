@@ -0,0 +1,93 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { parseRrule, formatRrule, needsStart, parseYmd, slotDates } = require('../recurrence')
+
+test('parseYmd accepte YYYY-MM-DD et AAAAMMJJ, refuse les dates impossibles', () => {
+  assert.equal(parseYmd('2025-09-03'), '2025-09-03')
+  assert.equal(parseYmd('20250903'), '2025-09-03')
+  assert.equal(parseYmd('20250903T000000Z'), '2025-09-03')
+  assert.equal(parseYmd('2025-02-30'), null)
+  assert.equal(parseYmd('03/09/2025'), null)
+  assert.equal(parseYmd(''), null)
+})
+
+test('parseRrule : BYDAY doit être le jour du créneau', () => {
+  assert.ok(parseRrule('FREQ=WEEKLY;BYDAY=WE', 3).rule)
+  assert.match(parseRrule('FREQ=WEEKLY;BYDAY=TU', 3).error, /BYDAY/)
+})
+
+test('parseRrule : BYDAY négatif en mensuel devient BYSETPOS', () => {
+  const { rule } = parseRrule('FREQ=MONTHLY;BYDAY=-1SA', 6)
+  assert.deepEqual(rule.bysetpos, [-1])
+  assert.equal(formatRrule(rule, 6), 'FREQ=MONTHLY;BYDAY=SA;BYSETPOS=-1')
+})
+
+test('parseRrule : combinaisons refusées', () => {
+  assert.match(parseRrule('INTERVAL=2', 1).error, /FREQ requis/)
+  assert.match(parseRrule('FREQ=DAILY', 1).error, /FREQ/)
+  assert.match(parseRrule('FREQ=WEEKLY;BYSETPOS=1', 1).error, /BYSETPOS/)
+  assert.match(parseRrule('FREQ=MONTHLY;BYSETPOS=0', 1).error, /BYSETPOS/)
+  assert.match(parseRrule('FREQ=MONTHLY;BYSETPOS=6', 1).error, /BYSETPOS/)
+  assert.match(parseRrule('FREQ=WEEKLY;UNTIL=20260630;COUNT=3', 1).error, /exclusifs/)
+  assert.match(parseRrule('FREQ=WEEKLY;INTERVAL=0', 1).error, /INTERVAL/)
+  assert.match(parseRrule('FREQ=WEEKLY;BYMONTH=1', 1).error, /BYMONTH/)
+})
+
+test('formatRrule : forme canonique (majuscules, préfixe RRULE: retiré)', () => {
+  const { rule } = parseRrule('RRULE:freq=weekly;interval=2;count=10', 3)
+  assert.equal(formatRrule(rule, 3), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;COUNT=10')
+  assert.equal(needsStart(rule), true)
+  assert.equal(needsStart(parseRrule('FREQ=MONTHLY;BYSETPOS=1', 3).rule), false)
+})
+
+test('slotDates sans règle : chaque semaine', () => {
+  assert.deepEqual(
+    slotDates({ weekday: 3 }, '2025-09-01', '2025-09-30'),
+    ['2025-09-03', '2025-09-10', '2025-09-17', '2025-09-24'],
+  )
+})
+
+test('slotDates : INTERVAL compté depuis dtstart, pas depuis la plage', () => {
+  const slot = { weekday: 3, rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE', dtstart: '2025-09-03' }
+  assert.deepEqual(slotDates(slot, '2025-09-01', '2025-10-15'), ['2025-09-03', '2025-09-17', '2025-10-01', '2025-10-15'])
+  assert.deepEqual(slotDates(slot, '2025-09-10', '2025-10-08'), ['2025-09-17', '2025-10-01'])
+})
+
+test('slotDates : premier mercredi du mois (BYSETPOS=1)', () => {
+  const slot = { weekday: 3, rrule: 'FREQ=MONTHLY;BYDAY=WE;BYSETPOS=1' }
+  assert.deepEqual(
+    slotDates(slot, '2025-09-01', '2025-12-31'),
+    ['2025-09-03', '2025-10-01', '2025-11-05', '2025-12-03'],
+  )
+})
+
+test('slotDates : dernier samedi du mois (BYDAY=-1SA)', () => {
+  const slot = { weekday: 6, rrule: 'FREQ=MONTHLY;BYDAY=-1SA' }
+  assert.deepEqual(slotDates(slot, '2025-09-01', '2025-11-30'), ['2025-09-27', '2025-10-25', '2025-11-29'])
+})
+
+test('slotDates : COUNT part de dtstart, même avant la plage', () => {
+  const slot = { weekday: 1, rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=3', dtstart: '2025-09-01' }
+  assert.deepEqual(slotDates(slot, '2025-09-01', '2025-12-31'), ['2025-09-01', '2025-09-08', '2025-09-15'])
+  assert.deepEqual(slotDates(slot, '2025-09-09', '2025-12-31'), ['2025-09-15'])
+})
+
+test('slotDates : les exdates sont retirées après COUNT (comme EXDATE)', () => {
+  const slot = {
+    weekday: 1,
+    rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=3',
+    dtstart: '2025-09-01',
+    exdates: ['2025-09-08'],
+  }
+  assert.deepEqual(slotDates(slot, '2025-09-01', '2025-12-31'), ['2025-09-01', '2025-09-15'])
+})
+
+test('slotDates : UNTIL inclus', () => {
+  const slot = { weekday: 1, rrule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250915' }
+  assert.deepEqual(slotDates(slot, '2025-09-01', '2025-09-30'), ['2025-09-01', '2025-09-08', '2025-09-15'])
+})
+
+test('slotDates : règle invalide en base → aucune date', () => {
+  assert.deepEqual(slotDates({ weekday: 1, rrule: 'FREQ=WEEKLY;BYDAY=TU' }, '2025-09-01', '2025-09-30'), [])
+})
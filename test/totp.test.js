@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { generateSecret, otpauthUri, verifyTotp, generateRecoveryCodes } = require('../totp')
+
+// Secret ASCII « 12345678901234567890 » des vecteurs de la RFC 6238
+// (annexe B, SHA1), codes ramenés à 6 chiffres
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+test('verifyTotp : vecteurs de test RFC 6238', () => {
+  for (const [seconds, code] of [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']]) {
+    assert.equal(verifyTotp(RFC_SECRET, code, { now: seconds * 1000, window: 0 }), Math.floor(seconds / 30))
+  }
+})
+
+test('verifyTotp : tolère ±window pas, pas au-delà', () => {
+  const now = 1111111109 * 1000
+  const step = Math.floor(1111111109 / 30)
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now + 30000 }), step)
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now - 30000 }), step)
+  assert.equal(verifyTotp(RFC_SECRET, '081804', { now: now + 60000 }), null)
+})
+
+test('verifyTotp : format du code', () => {
+  assert.equal(verifyTotp(RFC_SECRET, '081 804', { now: 1111111109 * 1000 }), Math.floor(1111111109 / 30))
+  assert.equal(verifyTotp(RFC_SECRET, '81804', { now: 1111111109 * 1000 }), null)
+  assert.equal(verifyTotp(RFC_SECRET, null), null)
+})
+
+test('generateSecret : 20 octets en base32', () => {
+  const secret = generateSecret()
+  assert.match(secret, /^[A-Z2-7]{32}$/)
+  assert.notEqual(generateSecret(), secret)
+})
+
+test('otpauthUri', () => {
+  const uri = new URL(otpauthUri(RFC_SECRET, 'prof@example.org', 'EMM Pointage'))
+  assert.equal(uri.protocol, 'otpauth:')
+  assert.equal(uri.host, 'totp')
+  assert.equal(decodeURIComponent(uri.pathname), '/EMM Pointage:prof@example.org')
+  assert.equal(uri.searchParams.get('issuer'), 'EMM Pointage')
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET)
+  assert.equal(uri.searchParams.get('digits'), '6')
+  assert.equal(uri.searchParams.get('period'), '30')
+})
+
+test('generateRecoveryCodes', () => {
+  const codes = generateRecoveryCodes()
+  assert.equal(codes.length, 10)
+  assert.equal(new Set(codes).size, 10)
+  for (const c of codes) assert.match(c, /^[0-9a-f]{5}-[0-9a-f]{5}$/)
+})
@@ -0,0 +1,93 @@
+// totp.js — mots de passe à usage unique temporels (RFC 6238), calculés
+// localement avec crypto : aucune dépendance ni service externe.
+
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+function base32Encode(buf) {
+  let bits = 0
+  let value = 0
+  let out = ''
+  for (const byte of buf) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return out
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const out = []
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch)
+    if (idx === -1) throw new Error('base32 invalide')
+    value = (value << 5) | idx
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(out)
+}
+
+// HOTP (RFC 4226) : HMAC-SHA1 du compteur puis troncature dynamique
+function hotp(key, counter, digits = DIGITS) {
+  const msg = Buffer.alloc(8)
+  msg.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(bin % 10 ** digits).padStart(digits, '0')
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+// URI à encoder en QR code côté client (Google Authenticator, FreeOTP…)
+function otpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+// Vérifie un code en tolérant ±window pas de 30 s (décalage d'horloge).
+// Renvoie le pas validé, à mémoriser pour refuser le rejeu, ou null.
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const token = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(token)) return null
+  const key = base32Decode(secret)
+  const current = Math.floor(now / 1000 / STEP_SECONDS)
+  for (let delta = -window; delta <= window; delta++) {
+    const candidate = hotp(key, current + delta)
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token))) return current + delta
+  }
+  return null
+}
+
+// Codes de secours au format xxxxx-xxxxx, à afficher une seule fois
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+}
+
+module.exports = { generateSecret, otpauthUri, verifyTotp, generateRecoveryCodes }